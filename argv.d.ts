@@ -0,0 +1,34 @@
+/**
+ * Parses command-line arguments into a repository.
+ * @example
+ *     parseArgv(["--db.host=x", "--db-port", "5432", "--no-cache"])
+ *     // => { db: { host: "x" }, "db-port": "5432", cache: false }
+ * @param {string[]} args      The arguments (e.g. `process.argv.slice(2)`)
+ * @param {object} [options={}]
+ * @param {string} [options.prefix="--"]    Only arguments with this prefix are options (e.g. `--app.`)
+ * @param {string} [options.separator="."]  Separates the segments of nested keys. An empty string disables nesting
+ * @returns {object} The repository
+ * @throws CuError  If the prefix is empty, an option is a value and an object at the same time or a name is unsafe (`__proto__`)
+ */
+export function parseArgv(args: string[], options?: ArgvOptions): object;
+/**
+ * Reads the command-line of the process (or a part of it) as a repository.
+ * @example
+ *     configUpdater.register("argv", readArgv(), 0)
+ * @param {object} [options={}]  All options of parseArgv() and:
+ * @param {string[]} [options.argv=process.argv]  The arguments
+ * @param {number} [options.start=2]              The first argument (after `node` and the script)
+ * @param {number} [options.end]                  The end of the slice. Default: all arguments
+ * @returns {object} The repository
+ * @throws CuError  See parseArgv()
+ */
+export function readArgv(options?: ReadArgvOptions): object;
+export type ArgvOptions = {
+    prefix?: string;
+    separator?: string;
+};
+export type ReadArgvOptions = ArgvOptions & {
+    argv?: string[];
+    start?: number;
+    end?: number;
+};
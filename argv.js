@@ -0,0 +1,134 @@
+"use strict"
+
+/**
+ * Command-line arguments as a repository of the Config-Updater.
+ *
+ * parseArgv() turns the options of a command-line into the nested object that
+ * the default-resolver understands:
+ * - `--db.host=x` and `--db.host x` => `{db: {host: "x"}}`
+ * - `--cache` => `{cache: true}`, `--no-cache` => `{cache: false}`
+ * - repeated options become arrays (`--tag a --tag b` => `{tag: ["a", "b"]}`)
+ * - all other arguments and everything after `--` are ignored
+ *
+ * Values stay strings. Use `$type` to convert them.
+ *
+ * @license MIT
+ * @author Thomas von Stetten.
+ */
+
+// @ts-check   Enable TypeScript Type checking in VScode Editor
+
+const { CuError } = require("./errors")
+
+/** Prefix of negated flags (after the option-prefix) */
+const NEGATION = "no-"
+/** Names that would change the prototype of the repository */
+const UNSAFE_KEYS = ["__proto__", "constructor", "prototype"]
+
+/**
+ * Parses command-line arguments into a repository.
+ * @example
+ *     parseArgv(["--db.host=x", "--db-port", "5432", "--no-cache"])
+ *     // => { db: { host: "x" }, "db-port": "5432", cache: false }
+ * @param {string[]} args      The arguments (e.g. `process.argv.slice(2)`)
+ * @param {object} [options={}]
+ * @param {string} [options.prefix="--"]    Only arguments with this prefix are options (e.g. `--app.`)
+ * @param {string} [options.separator="."]  Separates the segments of nested keys. An empty string disables nesting
+ * @returns {object} The repository
+ * @throws CuError  If the prefix is empty, an option is a value and an object at the same time or a name is unsafe (`__proto__`)
+ */
+function parseArgv(args, options = {}) {
+    const { prefix = "--", separator = "." } = options
+    if (!prefix || typeof prefix != "string")
+        throw new CuError(`Invalid argv-prefix "${prefix}"`)
+
+    const result = {}
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i]
+        if (arg == "--") break
+        if (!arg.startsWith(prefix) || arg.length == prefix.length) continue
+
+        let name = arg.substring(prefix.length)
+        let value
+        const equals = name.indexOf("=")
+        if (equals >= 0) {
+            value = name.substring(equals + 1)
+            name = name.substring(0, equals)
+        } else if (name.startsWith(NEGATION) && name.length > NEGATION.length) {
+            name = name.substring(NEGATION.length)
+            value = false
+        } else if (i + 1 < args.length && isValue(args[i + 1])) {
+            value = args[++i]
+        } else {
+            value = true
+        }
+        if (name) assign(result, name, value, separator, arg)
+    }
+    return result
+}
+
+/**
+ * Reads the command-line of the process (or a part of it) as a repository.
+ * @example
+ *     configUpdater.register("argv", readArgv(), 0)
+ * @param {object} [options={}]  All options of parseArgv() and:
+ * @param {string[]} [options.argv=process.argv]  The arguments
+ * @param {number} [options.start=2]              The first argument (after `node` and the script)
+ * @param {number} [options.end]                  The end of the slice. Default: all arguments
+ * @returns {object} The repository
+ * @throws CuError  See parseArgv()
+ */
+function readArgv(options = {}) {
+    const {
+        argv = process.argv,
+        start = 2,
+        end = undefined,
+        ...argvOptions
+    } = options
+    return parseArgv(argv.slice(start, end), argvOptions)
+}
+
+/**
+ * @param {string} arg  The argument after an option without `=`
+ * @returns {boolean} `true` if it's the value of the option (no option itself, negative numbers are values)
+ */
+function isValue(arg) {
+    return !arg.startsWith("-") || /^-\d/.test(arg)
+}
+
+/**
+ * Sets an option in the repository. Repeated options become arrays.
+ * @param {object} result     The repository
+ * @param {string} name       The name of the option (without prefix)
+ * @param {any} value
+ * @param {string} separator  See parseArgv()
+ * @param {string} arg        The argument (for error-messages)
+ */
+function assign(result, name, value, separator, arg) {
+    const keys = separator ? name.split(separator) : [name]
+    if (keys.some((key) => UNSAFE_KEYS.includes(key)))
+        throw new CuError(`Invalid argument "${arg}"`)
+    const conflict = () =>
+        new CuError(`The argument "${arg}" conflicts with another argument`)
+    // Only own properties (no `toString` of the prototype)
+    const get = (node, key) =>
+        Object.prototype.hasOwnProperty.call(node, key) ? node[key] : undefined
+    let node = result
+    for (const key of keys.slice(0, -1)) {
+        if (get(node, key) === undefined) node[key] = {}
+        node = node[key]
+        if (!node || typeof node != "object" || Array.isArray(node))
+            throw conflict()
+    }
+    const key = keys[keys.length - 1]
+    const current = get(node, key)
+    if (current === undefined) node[key] = value
+    else if (Array.isArray(current)) current.push(value)
+    else if (typeof current == "object") throw conflict()
+    else node[key] = [current, value]
+}
+
+module.exports = {
+    parseArgv,
+    readArgv,
+}
@@ -0,0 +1,31 @@
+/**
+ * Formats a config as .env-file. Nested keys are joined with `__` and
+ * converted to SCREAMING_SNAKE (`db/maxConnections` => `DB__MAX_CONNECTIONS`).
+ * `undefined` values are skipped (like by JSON.stringify()).
+ * @param {any} config  The resolved config
+ * @returns {string}
+ */
+export function formatEnv(config: any): string;
+/**
+ * Runs the command-line tool.
+ * @param {string[]} args  The arguments (without `node` and the script)
+ * @param {object} [io={}] The output-streams
+ * @param {{write: function}} [io.stdout=process.stdout]
+ * @param {{write: function}} [io.stderr=process.stderr]
+ * @returns {number} The exit-code
+ */
+export function main(args: string[], io?: {
+    stdout?: {
+        write: Function;
+    };
+    stderr?: {
+        write: Function;
+    };
+}): number;
+/**
+ * Parses the command-line arguments.
+ * @param {string[]} args  The arguments (without `node` and the script)
+ * @returns {object} The options: `{template, files, profile, interpolate, env, format, check, help}`
+ * @throws CuError  If an argument is invalid
+ */
+export function parseArgs(args: string[]): object;
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+"use strict"
+
+/**
+ * Command-line tool of the Config-Updater (bin `config-updater`).
+ *
+ * Resolves a config-template (JSON or a JS-module) with the environment,
+ * .env-files and repository-files and prints the result with masked secrets.
+ * In `--check`-mode nothing is printed but every failing macro (e.g. a missing
+ * mandatory value) and the exit-code is 1. Useful in CI-pipelines to validate
+ * a deployment before the rollout.
+ *
+ * @license MIT
+ * @author Thomas von Stetten.
+ */
+
+// @ts-check   Enable TypeScript Type checking in VScode Editor
+
+const fs = require("fs")
+const nodePath = require("path")
+const { createConfigUpdater, CuError, CuAggregateError } = require("./index")
+const { formatEnvValue } = require("./inventory")
+const { convertName } = require("./naming")
+const { parseJson } = require("./parsers")
+
+const USAGE = `Usage: config-updater [options] <template>
+
+Resolves the macros of a config-template (.json or .js) and prints the
+resolved config. Secret values are masked.
+
+Options:
+  -e, --env-file <file>  Register a .env-file (repeatable)
+  -f, --file <file>      Register a .json, .ini, .yaml or .env-file (repeatable)
+  -p, --profile <name>   The active profile of the \`$profiles\`-nodes
+  -i, --interpolate      Resolve \`\${key}\`-placeholders of strings
+      --no-env           Don't use the environment-variables
+      --format <format>  Output-format: json (default) or env
+  -c, --check            Print nothing but every failing macro
+  -h, --help             Print this help
+
+The environment has the highest priority, followed by the files in the
+order of the command-line. Exit-codes: 0 = ok, 1 = failing macros or
+invalid files, 2 = invalid arguments.`
+
+/** Output-formats of `--format` */
+const FORMATTERS = {
+    json: (config) => JSON.stringify(config, null, 2),
+    env: formatEnv,
+}
+
+/**
+ * Parses the command-line arguments.
+ * @param {string[]} args  The arguments (without `node` and the script)
+ * @returns {object} The options: `{template, files, profile, interpolate, env, format, check, help}`
+ * @throws CuError  If an argument is invalid
+ */
+function parseArgs(args) {
+    const options = {
+        template: undefined,
+        files: [],
+        profile: undefined,
+        interpolate: false,
+        env: true,
+        format: "json",
+        check: false,
+        help: false,
+    }
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i]
+        const next = () => {
+            if (i + 1 >= args.length)
+                throw new CuError(`The option "${arg}" needs a value`)
+            return args[++i]
+        }
+        switch (arg) {
+            case "-e":
+            case "--env-file":
+                options.files.push({ fileName: next(), format: "env" })
+                break
+            case "-f":
+            case "--file":
+                options.files.push({ fileName: next() })
+                break
+            case "-p":
+            case "--profile":
+                options.profile = next()
+                break
+            case "-i":
+            case "--interpolate":
+                options.interpolate = true
+                break
+            case "--no-env":
+                options.env = false
+                break
+            case "--format":
+                options.format = next()
+                if (!FORMATTERS.hasOwnProperty(options.format))
+                    throw new CuError(
+                        `Unknown format "${options.format}" (${Object.keys(
+                            FORMATTERS
+                        ).join(", ")})`
+                    )
+                break
+            case "-c":
+            case "--check":
+                options.check = true
+                break
+            case "-h":
+            case "--help":
+                options.help = true
+                break
+            default:
+                if (arg.startsWith("-") && arg != "-")
+                    throw new CuError(`Unknown option "${arg}"`)
+                if (options.template !== undefined)
+                    throw new CuError(`Only one template is allowed ("${arg}")`)
+                options.template = arg
+        }
+    }
+    if (options.template === undefined && !options.help)
+        throw new CuError("The template is missing")
+    return options
+}
+
+/**
+ * Loads a config-template. `.js`/`.cjs`-files are required, all other files
+ * are parsed as JSON.
+ * @param {string} fileName
+ * @returns {object} The template
+ * @throws CuError  If the file can't be read or parsed
+ */
+function loadTemplate(fileName) {
+    const path = nodePath.resolve(fileName)
+    if (/\.c?js$/i.test(path)) {
+        try {
+            return require(path)
+        } catch (error) {
+            throw new CuError(`Can't load "${fileName}": ${error.message}`)
+        }
+    }
+    let text
+    try {
+        text = fs.readFileSync(path, "utf8")
+    } catch (error) {
+        throw new CuError(`Can't read file "${fileName}": ${error.message}`)
+    }
+    return parseJson(text, { fileName })
+}
+
+/**
+ * Formats a config as .env-file. Nested keys are joined with `__` and
+ * converted to SCREAMING_SNAKE (`db/maxConnections` => `DB__MAX_CONNECTIONS`).
+ * `undefined` values are skipped (like by JSON.stringify()).
+ * @param {any} config  The resolved config
+ * @returns {string}
+ */
+function formatEnv(config) {
+    const lines = []
+    const add = (value, keys) => {
+        if (value === undefined) return
+        if (value && typeof value == "object" && !(value instanceof Date)) {
+            for (const key of Object.keys(value))
+                add(value[key], [...keys, key])
+            return
+        }
+        const name = keys
+            .map((key) => convertName(String(key), "SCREAMING_SNAKE"))
+            .join("__")
+        lines.push(`${name}=${formatEnvValue(value)}`)
+    }
+    add(config, [])
+    return lines.join("\n")
+}
+
+/**
+ * Runs the command-line tool.
+ * @param {string[]} args  The arguments (without `node` and the script)
+ * @param {object} [io={}] The output-streams
+ * @param {{write: function}} [io.stdout=process.stdout]
+ * @param {{write: function}} [io.stderr=process.stderr]
+ * @returns {number} The exit-code
+ */
+function main(args, io = {}) {
+    const { stdout = process.stdout, stderr = process.stderr } = io
+    let options
+    try {
+        options = parseArgs(args)
+    } catch (error) {
+        stderr.write(`config-updater: ${error.message}\n\n${USAGE}\n`)
+        return 2
+    }
+    if (options.help) {
+        stdout.write(USAGE + "\n")
+        return 0
+    }
+
+    const updater = createConfigUpdater({ env: options.env })
+    try {
+        options.files.forEach(({ fileName, format }, index) =>
+            updater.registerFile(`file${index}:${fileName}`, fileName, {
+                format,
+            })
+        )
+        const config = updater.updateConfig(loadTemplate(options.template), {
+            collectErrors: true,
+            interpolate: options.interpolate,
+            profile: options.profile,
+        })
+        if (!options.check)
+            stdout.write(
+                FORMATTERS[options.format](updater.toRedacted(config)) + "\n"
+            )
+        return 0
+    } catch (error) {
+        if (!(error instanceof CuError)) throw error
+        if (error instanceof CuAggregateError) {
+            const lines = error.errors.map((entry) => `- ${entry.message}`)
+            stderr.write(
+                `config-updater: ${error.errors.length} failing macro(s):\n` +
+                    lines.join("\n") +
+                    "\n"
+            )
+        } else stderr.write(`config-updater: ${error.message}\n`)
+        return 1
+    }
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2))
+
+module.exports = {
+    formatEnv,
+    main,
+    parseArgs,
+}
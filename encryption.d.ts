@@ -0,0 +1,54 @@
+export const ALGORITHMS: {
+    [algorithm: string]: number;
+};
+export const DEFAULT_KEY_NAME: "default";
+export const ENCRYPTED_PREFIX: "enc:v1:";
+/**
+ * Decrypt a value that was encrypted with encryptValue().
+ * @param {string|object} value   The encrypted value or the result of parseEncrypted()
+ * @param {string|Buffer} key     The key-material (see toKey())
+ * @returns {string} The decrypted value
+ * @throws CuError  If the value is invalid, or the key is wrong
+ */
+export function decryptValue(value: string | object, key: string | Buffer): string;
+/**
+ * Encrypt a value for the usage in a config or a repository.
+ * @param {any} value                 The value. Non-strings are converted with String()
+ * @param {string|Buffer} key         The key-material (see toKey())
+ * @param {object} [options]
+ * @param {string} [options.algorithm="aes-256-gcm"]  `aes-128-gcm`, `aes-192-gcm` or `aes-256-gcm`
+ * @param {string} [options.keyName="default"]        Name of the key in the ConfigUpdater (see registerKey())
+ * @returns {string} The encrypted value (`enc:v1:...`)
+ */
+export function encryptValue(value: any, key: string | Buffer, options?: {
+    algorithm?: "aes-128-gcm" | "aes-192-gcm" | "aes-256-gcm";
+    keyName?: string;
+}): string;
+/**
+ * Checks whether a value is an encrypted string.
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isEncrypted(value: any): boolean;
+/**
+ * Splits an encrypted value into its parts.
+ * @param {string} value  The encrypted value (`enc:v1:...`)
+ * @returns {{algorithm: string, keyName: string, salt: Buffer, iv: Buffer, tag: Buffer, data: Buffer}}
+ * @throws CuError  If the value has an invalid format
+ */
+export function parseEncrypted(value: string): {
+    algorithm: string;
+    keyName: string;
+    salt: Buffer;
+    iv: Buffer;
+    tag: Buffer;
+    data: Buffer;
+};
+/**
+ * Converts key-material to a key with the length the algorithm needs.
+ * @param {string|Buffer} material
+ * @param {string} algorithm
+ * @param {Buffer} salt  The salt of the encrypted value (see parseEncrypted())
+ * @returns {Buffer}
+ */
+export function toKey(material: string | Buffer, algorithm: string, salt: Buffer): Buffer;
@@ -0,0 +1,196 @@
+"use strict"
+
+/**
+ * Encryption of config-values.
+ *
+ * Encrypted values are strings with the format
+ * `enc:v1:<algorithm>:<key-name>:<salt>:<iv>:<auth-tag>:<ciphertext>`
+ * (base64url). So they can be committed with the config and are decrypted by
+ * the ConfigUpdater with the key that's registered under `<key-name>`.
+ * The random salt of every value is used when the key is a passphrase, so
+ * keys can't be derived in advance.
+ *
+ * @license MIT
+ * @author Thomas von Stetten.
+ */
+
+// @ts-check   Enable TypeScript Type checking in VScode Editor
+
+const crypto = require("crypto")
+const { CuError } = require("./errors")
+
+const ENCRYPTED_PREFIX = "enc:v1:"
+const DEFAULT_ALGORITHM = "aes-256-gcm"
+const DEFAULT_KEY_NAME = "default"
+const SALT_LENGTH = 16
+// Supported algorithms and their key-length in bytes
+const ALGORITHMS = { "aes-128-gcm": 16, "aes-192-gcm": 24, "aes-256-gcm": 32 }
+
+/**
+ * Checks whether a value is an encrypted string.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+    return typeof value == "string" && value.startsWith(ENCRYPTED_PREFIX)
+}
+
+/**
+ * Converts key-material to a key with the length the algorithm needs.
+ *
+ * - A Buffer is used as it is.
+ * - A string with the hex- or base64-representation of a key with the right
+ *   length is decoded.
+ * - Any other string is used as a passphrase. The key is derived with scrypt
+ *   and the salt.
+ * @param {string|Buffer} material
+ * @param {string} algorithm
+ * @param {Buffer} salt  The salt of the encrypted value (see parseEncrypted())
+ * @returns {Buffer}
+ */
+function toKey(material, algorithm, salt) {
+    const length = ALGORITHMS[algorithm]
+    if (Buffer.isBuffer(material)) {
+        if (material.length != length)
+            throw new CuError(
+                `The key for ${algorithm} must have ${length} bytes (has ${material.length})`
+            )
+        return material
+    }
+    if (typeof material != "string" || !material)
+        throw new CuError("The key must be a Buffer or a non-empty string")
+    material = material.trim()
+    if (/^[0-9a-fA-F]+$/.test(material) && material.length == length * 2)
+        return Buffer.from(material, "hex")
+    const base64 = Buffer.from(material, "base64")
+    if (base64.length == length && /^[A-Za-z0-9+/_-]+=*$/.test(material))
+        return base64
+    if (!Buffer.isBuffer(salt) || salt.length != SALT_LENGTH)
+        throw new CuError(`A passphrase needs a salt of ${SALT_LENGTH} bytes`)
+    return crypto.scryptSync(material, salt, length)
+}
+
+/**
+ * Checks the algorithm and the key-name.
+ * @param {string} algorithm
+ * @param {string} keyName
+ */
+function checkNames(algorithm, keyName) {
+    if (!ALGORITHMS[algorithm])
+        throw new CuError(
+            `Unsupported algorithm "${algorithm}" (supported: ${Object.keys(
+                ALGORITHMS
+            ).join(", ")})`
+        )
+    if (!keyName || typeof keyName != "string" || keyName.includes(":"))
+        throw new CuError(`Invalid key-name "${keyName}"`)
+}
+
+/**
+ * Encrypt a value for the usage in a config or a repository.
+ * @example
+ *     // node -e 'console.log(require("config-updater").encryptValue("secret", process.env.CONFIG_KEY))'
+ *     encryptValue("my-password", key) // => "enc:v1:aes-256-gcm:default:..."
+ * @param {any} value                 The value. Non-strings are converted with String()
+ * @param {string|Buffer} key         The key-material (see toKey())
+ * @param {object} [options]
+ * @param {string} [options.algorithm="aes-256-gcm"]  `aes-128-gcm`, `aes-192-gcm` or `aes-256-gcm`
+ * @param {string} [options.keyName="default"]        Name of the key in the ConfigUpdater (see registerKey())
+ * @returns {string} The encrypted value (`enc:v1:...`)
+ */
+function encryptValue(value, key, options = {}) {
+    const algorithm = options.algorithm || DEFAULT_ALGORITHM
+    const keyName = options.keyName || DEFAULT_KEY_NAME
+    checkNames(algorithm, keyName)
+    const salt = crypto.randomBytes(SALT_LENGTH)
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv(
+        /** @type {crypto.CipherGCMTypes} */ (algorithm),
+        toKey(key, algorithm, salt),
+        iv
+    )
+    const data = Buffer.concat([
+        cipher.update(String(value), "utf8"),
+        cipher.final(),
+    ])
+    return (
+        ENCRYPTED_PREFIX +
+        [
+            algorithm,
+            keyName,
+            salt.toString("base64url"),
+            iv.toString("base64url"),
+            cipher.getAuthTag().toString("base64url"),
+            data.toString("base64url"),
+        ].join(":")
+    )
+}
+
+/**
+ * Splits an encrypted value into its parts.
+ * @param {string} value  The encrypted value (`enc:v1:...`)
+ * @returns {{algorithm: string, keyName: string, salt: Buffer, iv: Buffer, tag: Buffer, data: Buffer}}
+ * @throws CuError  If the value has an invalid format
+ */
+function parseEncrypted(value) {
+    const parts = isEncrypted(value)
+        ? value.substring(ENCRYPTED_PREFIX.length).split(":")
+        : []
+    if (parts.length != 6) throw new CuError("Invalid encrypted value")
+    const [algorithm, keyName, salt, iv, tag, data] = parts
+    checkNames(algorithm, keyName)
+    const result = {
+        algorithm,
+        keyName,
+        salt: Buffer.from(salt, "base64url"),
+        iv: Buffer.from(iv, "base64url"),
+        tag: Buffer.from(tag, "base64url"),
+        data: Buffer.from(data, "base64url"),
+    }
+    // A shortened auth-tag would weaken the authentication
+    if (
+        result.salt.length != SALT_LENGTH ||
+        result.iv.length != 12 ||
+        result.tag.length != 16
+    )
+        throw new CuError("Invalid encrypted value")
+    return result
+}
+
+/**
+ * Decrypt a value that was encrypted with encryptValue().
+ * @param {string|object} value   The encrypted value or the result of parseEncrypted()
+ * @param {string|Buffer} key     The key-material (see toKey())
+ * @returns {string} The decrypted value
+ * @throws CuError  If the value is invalid, or the key is wrong
+ */
+function decryptValue(value, key) {
+    const parsed = typeof value == "string" ? parseEncrypted(value) : value
+    const decipher = crypto.createDecipheriv(
+        /** @type {crypto.CipherGCMTypes} */ (parsed.algorithm),
+        toKey(key, parsed.algorithm, parsed.salt),
+        parsed.iv
+    )
+    decipher.setAuthTag(parsed.tag)
+    try {
+        return Buffer.concat([
+            decipher.update(parsed.data),
+            decipher.final(),
+        ]).toString("utf8")
+    } catch (error) {
+        throw new CuError(
+            `Can't decrypt the value with the key "${parsed.keyName}" (wrong key or modified value)`
+        )
+    }
+}
+
+module.exports = {
+    ALGORITHMS,
+    DEFAULT_KEY_NAME,
+    ENCRYPTED_PREFIX,
+    decryptValue,
+    encryptValue,
+    isEncrypted,
+    parseEncrypted,
+    toKey,
+}
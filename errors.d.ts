@@ -0,0 +1,32 @@
+/**
+ * Error-Class for the Config-Helper-System
+ */
+export class CuError extends Error {
+}
+/**
+ * Thrown by updateConfig() with the option `collectErrors` after the whole
+ * config was traversed.
+ *
+ * `errors` contains one entry per macro that couldn't be resolved:
+ * `{path: "db/host", key: "DB_HOST", message: "...", error: <CuError>}`.
+ * `config` is the (partially) updated config. The failed macros are unchanged.
+ */
+export class CuAggregateError extends CuError {
+    /**
+     * @param {Array<{path: string, key: any, message: string, error: Error}>} errors
+     * @param {object|Array} config  The updated config
+     */
+    constructor(errors: Array<{
+        path: string;
+        key: any;
+        message: string;
+        error: Error;
+    }>, config: object | any[]);
+    errors: Array<{
+        path: string;
+        key: any;
+        message: string;
+        error: Error;
+    }>;
+    config: object | any[];
+}
@@ -0,0 +1,46 @@
+"use strict"
+
+/**
+ * Error-Classes of the Config-Updater.
+ *
+ * Kept in a separate module because the parsers and the ConfigUpdater both
+ * throw them.
+ *
+ * @license MIT
+ * @author Thomas von Stetten.
+ */
+
+// @ts-check   Enable TypeScript Type checking in VScode Editor
+
+/**
+ * Error-Class for the Config-Helper-System
+ */
+class CuError extends Error {}
+
+/**
+ * Thrown by updateConfig() with the option `collectErrors` after the whole
+ * config was traversed.
+ *
+ * `errors` contains one entry per macro that couldn't be resolved:
+ * `{path: "db/host", key: "DB_HOST", message: "...", error: <CuError>}`.
+ * `config` is the (partially) updated config. The failed macros are unchanged.
+ */
+class CuAggregateError extends CuError {
+    /**
+     * @param {Array<{path: string, key: any, message: string, error: Error}>} errors
+     * @param {object|Array} config  The updated config
+     */
+    constructor(errors, config) {
+        super(
+            `${errors.length} error(s) while updating the config:\n` +
+                errors.map((entry) => `- ${entry.message}`).join("\n")
+        )
+        this.errors = errors
+        this.config = config
+    }
+}
+
+module.exports = {
+    CuError,
+    CuAggregateError,
+}
@@ -0,0 +1,89 @@
+/**
+ * A node of a parsed expression.
+ */
+export type ExpressionNode = {
+    type: "literal" | "key" | "call" | "unary" | "binary" | "conditional";
+    /**
+     * The position in the expression (1-based)
+     */
+    column: number;
+    /**
+     * `literal`
+     */
+    value?: any;
+    /**
+     * `key`: the key in the repositories (`db/host`)
+     */
+    key?: string;
+    /**
+     * `call`: the name of the function
+     */
+    name?: string;
+    /**
+     * `call`
+     */
+    args?: ExpressionNode[];
+    /**
+     * `unary` and `binary`
+     */
+    operator?: string;
+    /**
+     * `unary`
+     */
+    operand?: ExpressionNode;
+    /**
+     * `binary`
+     */
+    left?: ExpressionNode;
+    /**
+     * `binary`
+     */
+    right?: ExpressionNode;
+    /**
+     * `conditional`
+     */
+    test?: ExpressionNode;
+    /**
+     * `conditional`
+     */
+    consequent?: ExpressionNode;
+    /**
+     * `conditional`
+     */
+    alternate?: ExpressionNode;
+};
+/**
+ * The functions of expressions. `undefined` arguments result in `undefined`.
+ * @type {Object<string, function(Array, ...any): any>}
+ */
+export const EXPRESSION_FUNCTIONS: {
+    [x: string]: (path: any[], ...args: any[]) => any;
+};
+/**
+ * Evaluates a parsed expression. The values of the keys are `yield`-ed by
+ * `lookup` (see ConfigUpdater.#resolveMacro()), so a resolver can be async.
+ * `||`, `&&`, `??` and `? :` evaluate only the operands they need.
+ * @param {ExpressionNode} node
+ * @param {function(string): Generator} lookup  Returns a generator that resolves a key
+ * @param {Array} path  The path of the property (for error-messages)
+ * @returns {Generator} A generator that returns the value of the expression
+ * @throws CuError  If an operator or a function gets an invalid value
+ */
+export function evaluateExpression(node: ExpressionNode, lookup: (key: string) => Generator, path: any[]): Generator;
+/**
+ * Lists the keys of a parsed expression.
+ * @param {ExpressionNode} node
+ * @returns {string[]} The keys in the order of their appearance (without duplicates)
+ */
+export function expressionKeys(node: ExpressionNode): string[];
+/**
+ * Parses an expression.
+ * @example
+ *     parseExpression("PORT + 1", ["server", "port"])
+ *     // => {type: "binary", operator: "+", left: {type: "key", key: "PORT"}, right: {type: "literal", value: 1}}
+ * @param {string} text  The expression
+ * @param {Array} path   The path of the property (for error-messages)
+ * @returns {ExpressionNode} The root of the parsed expression
+ * @throws CuError  If the expression has a syntax-error or calls an unknown function (with the column)
+ */
+export function parseExpression(text: string, path: any[]): ExpressionNode;
@@ -0,0 +1,383 @@
+"use strict"
+
+/**
+ * Expressions of `$expr`-macros.
+ *
+ * A small expression-language for computed values that can be written in
+ * JSON-files. It's parsed into a tree and evaluated without `eval`:
+ * - literals: `8080`, `1.5`, `"text"`, `'text'`, `true`, `false`, `null`, `undefined`
+ * - keys of the repositories: `PORT`, `db.host` (=> `db/host`)
+ * - operators (by precedence): `? :`, `||` `??`, `&&`, `==` `!=`,
+ *   `<` `<=` `>` `>=`, `+` `-`, `*` `/` `%`, `!` `-` (unary) and `( )`
+ * - functions: `lower`, `upper`, `split`, `join`, `int`, `bool` (see EXPRESSION_FUNCTIONS)
+ *
+ * Values of keys that are numbers in their canonical form (`8080`, `-1.5`)
+ * are numbers. So `PORT + 1` adds and `HOST + ":" + PORT` concatenates.
+ * Arithmetic with an undefined value is undefined (so `$default` applies).
+ *
+ * @license MIT
+ * @author Thomas von Stetten.
+ */
+
+// @ts-check   Enable TypeScript Type checking in VScode Editor
+
+const { CuError } = require("./errors")
+const { convertType } = require("./types")
+
+/**
+ * The functions of expressions. `undefined` arguments result in `undefined`.
+ * @type {Object<string, function(Array, ...any): any>}
+ */
+const EXPRESSION_FUNCTIONS = {
+    lower: (path, text) => String(text).toLowerCase(),
+    upper: (path, text) => String(text).toUpperCase(),
+    split: (path, text, separator = ",") =>
+        String(text)
+            .split(String(separator))
+            .map((item) => item.trim()),
+    join: (path, list, separator = ",") => {
+        if (!Array.isArray(list))
+            throw new CuError(
+                `Property "${path.join("/")}": join() needs a list`
+            )
+        return list.join(String(separator))
+    },
+    int: (path, value) =>
+        typeof value == "number"
+            ? Math.trunc(value)
+            : convertType(value, "integer", path),
+    bool: (path, value) => convertType(value, "boolean", path),
+}
+
+/** Operators by precedence (lowest first). Unary operators are handled separately */
+const BINARY_OPERATORS = [
+    ["||", "??"],
+    ["&&"],
+    ["==", "!="],
+    ["<=", ">=", "<", ">"],
+    ["+", "-"],
+    ["*", "/", "%"],
+]
+/** All punctuators. Longer ones first */
+const PUNCTUATORS = [
+    "==",
+    "!=",
+    "<=",
+    ">=",
+    "&&",
+    "||",
+    "??",
+    ..."<>+-*/%!?:(),",
+]
+const LITERALS = { true: true, false: false, null: null, undefined: undefined }
+
+/**
+ * A node of a parsed expression.
+ * @typedef {object} ExpressionNode
+ * @property {"literal"|"key"|"call"|"unary"|"binary"|"conditional"} type
+ * @property {number} column  The position in the expression (1-based)
+ * @property {any} [value]             `literal`
+ * @property {string} [key]            `key`: the key in the repositories (`db/host`)
+ * @property {string} [name]           `call`: the name of the function
+ * @property {ExpressionNode[]} [args] `call`
+ * @property {string} [operator]       `unary` and `binary`
+ * @property {ExpressionNode} [operand]                `unary`
+ * @property {ExpressionNode} [left]                   `binary`
+ * @property {ExpressionNode} [right]                  `binary`
+ * @property {ExpressionNode} [test]                   `conditional`
+ * @property {ExpressionNode} [consequent]             `conditional`
+ * @property {ExpressionNode} [alternate]              `conditional`
+ */
+
+/**
+ * Splits an expression into tokens.
+ * @param {string} text
+ * @param {function(string, number): CuError} error  Creates a syntax-error
+ * @returns {Array<{type: string, value: any, column: number}>} The tokens (`number`, `string`, `name`, `punctuator`, `end`)
+ */
+function tokenize(text, error) {
+    const tokens = []
+    let pos = 0
+    while (pos < text.length) {
+        const column = pos + 1
+        const rest = text.substring(pos)
+        let match
+        if ((match = /^\s+/.exec(rest))) {
+            pos += match[0].length
+        } else if ((match = /^(\d+(\.\d+)?|\.\d+)([eE][-+]?\d+)?/.exec(rest))) {
+            tokens.push({ type: "number", value: Number(match[0]), column })
+            pos += match[0].length
+        } else if (
+            (match = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*/.exec(rest))
+        ) {
+            tokens.push({ type: "name", value: match[0], column })
+            pos += match[0].length
+        } else if (rest[0] == '"' || rest[0] == "'") {
+            let value = ""
+            let end = pos + 1
+            for (; end < text.length && text[end] != rest[0]; end++) {
+                if (text[end] == "\\") {
+                    const escaped = text[++end]
+                    value += { n: "\n", t: "\t", r: "\r" }[escaped] || escaped
+                } else value += text[end]
+            }
+            if (end >= text.length) throw error("Unterminated string", column)
+            tokens.push({ type: "string", value, column })
+            pos = end + 1
+        } else {
+            const punctuator = PUNCTUATORS.find((p) => rest.startsWith(p))
+            if (!punctuator) throw error(`Unexpected "${rest[0]}"`, column)
+            tokens.push({ type: "punctuator", value: punctuator, column })
+            pos += punctuator.length
+        }
+    }
+    tokens.push({ type: "end", value: undefined, column: text.length + 1 })
+    return tokens
+}
+
+/**
+ * Parses an expression.
+ * @example
+ *     parseExpression("PORT + 1", ["server", "port"])
+ *     // => {type: "binary", operator: "+", left: {type: "key", key: "PORT"}, right: {type: "literal", value: 1}}
+ * @param {string} text  The expression
+ * @param {Array} path   The path of the property (for error-messages)
+ * @returns {ExpressionNode} The root of the parsed expression
+ * @throws CuError  If the expression has a syntax-error or calls an unknown function (with the column)
+ */
+function parseExpression(text, path) {
+    const error = (message, column) =>
+        new CuError(
+            `Property "${path.join(
+                "/"
+            )}": ${message} at column ${column} of the expression "${text}"`
+        )
+    if (typeof text != "string" || !text.trim())
+        throw new CuError(
+            `Property "${path.join("/")}": Invalid expression "${text}"`
+        )
+    const tokens = tokenize(text, error)
+    let index = 0
+    const peek = () => tokens[index]
+    const isPunctuator = (...values) =>
+        peek().type == "punctuator" && values.includes(peek().value)
+    const unexpected = (token) =>
+        token.type == "end"
+            ? error("Unexpected end", token.column)
+            : error(`Unexpected "${token.value}"`, token.column)
+    const expect = (value) => {
+        if (!isPunctuator(value)) throw unexpected(peek())
+        index++
+    }
+
+    function conditional() {
+        const test = binary(0)
+        if (!isPunctuator("?")) return test
+        const { column } = tokens[index++]
+        const consequent = conditional()
+        expect(":")
+        return {
+            type: "conditional",
+            column,
+            test,
+            consequent,
+            alternate: conditional(),
+        }
+    }
+    function binary(level) {
+        if (level >= BINARY_OPERATORS.length) return unary()
+        let left = binary(level + 1)
+        while (isPunctuator(...BINARY_OPERATORS[level])) {
+            const { value: operator, column } = tokens[index++]
+            left = {
+                type: "binary",
+                column,
+                operator,
+                left,
+                right: binary(level + 1),
+            }
+        }
+        return left
+    }
+    function unary() {
+        if (!isPunctuator("!", "-")) return primary()
+        const { value: operator, column } = tokens[index++]
+        return { type: "unary", column, operator, operand: unary() }
+    }
+    function primary() {
+        const token = tokens[index++]
+        const { column } = token
+        if (token.type == "number" || token.type == "string")
+            return { type: "literal", column, value: token.value }
+        if (token.type == "name") {
+            if (isPunctuator("(")) {
+                if (!EXPRESSION_FUNCTIONS.hasOwnProperty(token.value))
+                    throw error(`Unknown function "${token.value}"`, column)
+                index++
+                const args = []
+                while (!isPunctuator(")")) {
+                    if (args.length) expect(",")
+                    args.push(conditional())
+                }
+                index++
+                return { type: "call", column, name: token.value, args }
+            }
+            if (LITERALS.hasOwnProperty(token.value))
+                return { type: "literal", column, value: LITERALS[token.value] }
+            return {
+                type: "key",
+                column,
+                key: token.value.split(".").join("/"),
+            }
+        }
+        if (token.type == "punctuator" && token.value == "(") {
+            const node = conditional()
+            expect(")")
+            return node
+        }
+        throw unexpected(token)
+    }
+
+    const root = conditional()
+    if (peek().type != "end") throw unexpected(peek())
+    return root
+}
+
+/**
+ * Lists the keys of a parsed expression.
+ * @param {ExpressionNode} node
+ * @returns {string[]} The keys in the order of their appearance (without duplicates)
+ */
+function expressionKeys(node) {
+    const keys = new Set()
+    const visit = (node) => {
+        if (node.type == "key") keys.add(node.key)
+        for (const child of [
+            node.operand,
+            node.left,
+            node.right,
+            node.test,
+            node.consequent,
+            node.alternate,
+            ...(node.args || []),
+        ])
+            if (child) visit(child)
+    }
+    visit(node)
+    return [...keys]
+}
+
+/**
+ * Evaluates a parsed expression. The values of the keys are `yield`-ed by \
+ * `lookup` (see ConfigUpdater.#resolveMacro()), so a resolver can be async. \
+ * `||`, `&&`, `??` and `? :` evaluate only the operands they need.
+ * @param {ExpressionNode} node
+ * @param {function(string): Generator} lookup  Returns a generator that resolves a key
+ * @param {Array} path  The path of the property (for error-messages)
+ * @returns {Generator} A generator that returns the value of the expression
+ * @throws CuError  If an operator or a function gets an invalid value
+ */
+function* evaluateExpression(node, lookup, path) {
+    const evaluate = (node) => evaluateExpression(node, lookup, path)
+    const invalid = (message) =>
+        new CuError(
+            `Property "${path.join("/")}": ${message} (column ${node.column})`
+        )
+    switch (node.type) {
+        case "literal":
+            return node.value
+        case "key":
+            return toOperand(yield* lookup(node.key))
+        case "call": {
+            const args = []
+            for (const arg of node.args) args.push(yield* evaluate(arg))
+            if (args.some((arg) => arg === undefined)) return undefined
+            return EXPRESSION_FUNCTIONS[node.name](path, ...args)
+        }
+        case "conditional":
+            return yield* evaluate(
+                (yield* evaluate(node.test)) ? node.consequent : node.alternate
+            )
+        case "unary": {
+            const operand = yield* evaluate(node.operand)
+            if (node.operator == "!") return !operand
+            if (operand === undefined) return undefined
+            if (typeof operand != "number")
+                throw invalid(`"-" needs a number (${JSON.stringify(operand)})`)
+            return -operand
+        }
+    }
+    const { operator } = node
+    const left = yield* evaluate(node.left)
+    // short-circuit (truthiness like JavaScript)
+    if (operator == "||") return left ? left : yield* evaluate(node.right)
+    if (operator == "&&") return left ? yield* evaluate(node.right) : left
+    if (operator == "??")
+        return left != null ? left : yield* evaluate(node.right)
+    const right = yield* evaluate(node.right)
+    switch (operator) {
+        case "==":
+            return left === right
+        case "!=":
+            return left !== right
+        case "<":
+            return left < right
+        case "<=":
+            return left <= right
+        case ">":
+            return left > right
+        case ">=":
+            return left >= right
+    }
+    if (left === undefined || right === undefined) return undefined
+    if (
+        operator == "+" &&
+        (typeof left != "number" || typeof right != "number")
+    )
+        return toText(left) + toText(right)
+    for (const value of [left, right])
+        if (typeof value != "number")
+            throw invalid(
+                `"${operator}" needs numbers (${JSON.stringify(value)})`
+            )
+    if ((operator == "/" || operator == "%") && right === 0)
+        throw invalid("Division by zero")
+    switch (operator) {
+        case "+":
+            return left + right
+        case "-":
+            return left - right
+        case "*":
+            return left * right
+        case "/":
+            return left / right
+        default:
+            return left % right
+    }
+}
+
+/**
+ * @param {any} value  The value of a key
+ * @returns {any} Numbers in their canonical form (`"8080"`) as number, other values unchanged
+ */
+function toOperand(value) {
+    if (typeof value != "string" || !value) return value
+    const number = Number(value)
+    return String(number) === value ? number : value
+}
+
+/**
+ * @param {any} value
+ * @returns {string} The value for a string-concatenation (`null` => `""`, objects as JSON)
+ */
+function toText(value) {
+    if (value === null) return ""
+    return typeof value == "object" ? JSON.stringify(value) : String(value)
+}
+
+module.exports = {
+    EXPRESSION_FUNCTIONS,
+    evaluateExpression,
+    expressionKeys,
+    parseExpression,
+}
@@ -0,0 +1,46 @@
+/**
+ * The response-formats. `split` separates the segments of the macro-key
+ * into the segments of the request-path and a field of the response (the
+ * alternatives are requested in this order until one has a value),
+ * `parse` takes the value out of the parsed body.
+ * @type {Object<string, {tokenHeader: string, split: function(string[]): Array<[string[], string]>, parse: function(any): any}>}
+ */
+export const KV_FORMATS: {
+    [x: string]: {
+        tokenHeader: string;
+        split: (arg0: string[]) => Array<[string[], string]>;
+        parse: (arg0: any) => any;
+    };
+};
+/**
+ * Creates the resolver of an HTTP key-value store (see ConfigUpdater.registerHttpKv()).
+ *
+ * The repository of the resolver is the base-URL of the store.
+ * @example
+ *     const resolver = createHttpKvResolver({ format: "vault", token: process.env.VAULT_TOKEN })
+ *     configUpdater.register("vault", "http://127.0.0.1:8200/v1/secret/data", 0, resolver)
+ * @param {object} [options={}]
+ * @param {string} [options.format="json"]   The response-format (`vault`, `consul`, `json`, see KV_FORMATS)
+ * @param {string} [options.token]           The auth-token. Sent with the `tokenHeader`
+ * @param {string} [options.tokenHeader]     Default: `X-Vault-Token`, `X-Consul-Token` or `Authorization` (depends on the format)
+ * @param {object} [options.headers={}]      Additional headers of the requests
+ * @param {function(string[]): string} [options.mapPath]  Maps the segments of the request-path to the path below the base-URL. Default: the URI-encoded segments joined with `/`
+ * @param {number} [options.timeout=5000]    Deadline of a request including the whole response (milliseconds)
+ * @param {number} [options.retries=2]       Retries after a network-error, a timeout, 429 or 5xx
+ * @param {number} [options.retryDelay=200]  Delay before the first retry (milliseconds). It doubles with every retry
+ * @param {number} [options.cacheTtl=60000]  How long a response is cached (milliseconds). `0` disables the cache
+ * @returns {function(string, string[]): Promise<any>} The resolver
+ * @throws CuError  If the format is unknown
+ */
+export function createHttpKvResolver(options?: HttpKvOptions): (baseUrl: string, splitSearchKey: string[]) => Promise<any>;
+export type HttpKvOptions = {
+    format?: "vault" | "consul" | "json" | string;
+    token?: string;
+    tokenHeader?: string;
+    headers?: object;
+    mapPath?: (segments: string[]) => string;
+    timeout?: number;
+    retries?: number;
+    retryDelay?: number;
+    cacheTtl?: number;
+};
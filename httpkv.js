@@ -0,0 +1,210 @@
+"use strict"
+
+/**
+ * HTTP key-value stores (Vault KV v2, Consul KV) as repositories.
+ *
+ * createHttpKvResolver() creates an async resolver (see ConfigUpdater.register())
+ * that maps a macro-key to a GET-request below a base-URL:
+ * - `vault`: `db/password` => `GET <url>/db`, the field `password` of `data.data`.
+ *   Without that field the whole secret `GET <url>/db/password` (`data.data`)
+ * - `consul`: `db/password` => `GET <url>/db/password`, the base64-`Value` of the first entry
+ * - `json`: `db/password` => `GET <url>/db/password`, the parsed body
+ *
+ * A 404 is `undefined` (the next repository is asked). Network-errors,
+ * timeouts, 429 and 5xx are retried. Responses (also 404s) are cached for
+ * `cacheTtl` milliseconds, concurrent requests of the same URL are sent once.
+ * The resolver returns Promises, so use the async functions of the
+ * ConfigUpdater (updateConfigAsync(), resolveConfigAsync(), getValueAsync()).
+ *
+ * @license MIT
+ * @author Thomas von Stetten.
+ */
+
+// @ts-check   Enable TypeScript Type checking in VScode Editor
+
+const http = require("http")
+const https = require("https")
+const { CuError } = require("./errors")
+
+/**
+ * The response-formats. `split` separates the segments of the macro-key \
+ * into the segments of the request-path and a field of the response (the \
+ * alternatives are requested in this order until one has a value), \
+ * `parse` takes the value out of the parsed body.
+ * @type {Object<string, {tokenHeader: string, split: function(string[]): Array<[string[], string]>, parse: function(any): any}>}
+ */
+const KV_FORMATS = {
+    vault: {
+        tokenHeader: "X-Vault-Token",
+        split: (segments) =>
+            segments.length > 1
+                ? [
+                      [segments.slice(0, -1), segments[segments.length - 1]],
+                      [segments, undefined],
+                  ]
+                : [[segments, undefined]],
+        parse: (body) => (body && body.data ? body.data.data : undefined),
+    },
+    consul: {
+        tokenHeader: "X-Consul-Token",
+        split: (segments) => [[segments, undefined]],
+        parse: (body) => {
+            const entry = Array.isArray(body) ? body[0] : undefined
+            if (!entry) return undefined
+            return entry.Value == null
+                ? ""
+                : Buffer.from(entry.Value, "base64").toString("utf8")
+        },
+    },
+    json: {
+        tokenHeader: "Authorization",
+        split: (segments) => [[segments, undefined]],
+        parse: (body) => body,
+    },
+}
+
+/**
+ * Creates the resolver of an HTTP key-value store (see ConfigUpdater.registerHttpKv()).
+ *
+ * The repository of the resolver is the base-URL of the store.
+ * @example
+ *     const resolver = createHttpKvResolver({ format: "vault", token: process.env.VAULT_TOKEN })
+ *     configUpdater.register("vault", "http://127.0.0.1:8200/v1/secret/data", 0, resolver)
+ * @param {object} [options={}]
+ * @param {string} [options.format="json"]   The response-format (`vault`, `consul`, `json`, see KV_FORMATS)
+ * @param {string} [options.token]           The auth-token. Sent with the `tokenHeader`
+ * @param {string} [options.tokenHeader]     Default: `X-Vault-Token`, `X-Consul-Token` or `Authorization` (depends on the format)
+ * @param {object} [options.headers={}]      Additional headers of the requests
+ * @param {function(string[]): string} [options.mapPath]  Maps the segments of the request-path to the path below the base-URL. Default: the URI-encoded segments joined with `/`
+ * @param {number} [options.timeout=5000]    Deadline of a request including the whole response (milliseconds)
+ * @param {number} [options.retries=2]       Retries after a network-error, a timeout, 429 or 5xx
+ * @param {number} [options.retryDelay=200]  Delay before the first retry (milliseconds). It doubles with every retry
+ * @param {number} [options.cacheTtl=60000]  How long a response is cached (milliseconds). `0` disables the cache
+ * @returns {function(string, string[]): Promise<any>} The resolver
+ * @throws CuError  If the format is unknown
+ */
+function createHttpKvResolver(options = {}) {
+    const {
+        format = "json",
+        token,
+        headers = {},
+        mapPath = (segments) => segments.map(encodeURIComponent).join("/"),
+        cacheTtl = 60000,
+    } = options
+    if (!KV_FORMATS.hasOwnProperty(format))
+        throw new CuError(
+            `Unknown KV-format "${format}" (${Object.keys(KV_FORMATS).join(
+                ", "
+            )})`
+        )
+    const { tokenHeader = KV_FORMATS[format].tokenHeader } = options
+    const requestHeaders = { Accept: "application/json", ...headers }
+    if (token) requestHeaders[tokenHeader] = token
+
+    // url => {expires, promise} (the parsed body or `undefined` for a 404)
+    const cache = new Map()
+    const load = (url) => {
+        const cached = cache.get(url)
+        if (cached && cached.expires > Date.now()) return cached.promise
+        const promise = fetchJson(url, requestHeaders, options)
+        if (cacheTtl > 0) {
+            cache.set(url, { expires: Date.now() + cacheTtl, promise })
+            // Failures aren't cached
+            promise.catch(() => cache.delete(url))
+        }
+        return promise
+    }
+
+    return async (baseUrl, splitSearchKey) => {
+        const base = String(baseUrl).replace(/\/+$/, "")
+        for (const [segments, field] of KV_FORMATS[format].split(
+            splitSearchKey
+        )) {
+            const body = await load(`${base}/${mapPath(segments)}`)
+            let value =
+                body === undefined ? body : KV_FORMATS[format].parse(body)
+            if (field !== undefined)
+                value =
+                    value &&
+                    typeof value == "object" &&
+                    value.hasOwnProperty(field)
+                        ? value[field]
+                        : undefined
+            if (value !== undefined) return value
+        }
+        return undefined
+    }
+}
+
+/**
+ * Sends a GET-request with retries.
+ * @param {string} url
+ * @param {object} headers
+ * @param {object} options  The options of createHttpKvResolver() (`timeout`, `retries`, `retryDelay`)
+ * @returns {Promise<any>} The parsed body or `undefined` for a 404
+ * @throws CuError  If the request fails (after the retries), the status isn't 2xx/404 or the body isn't JSON
+ */
+async function fetchJson(url, headers, options) {
+    const { timeout = 5000, retries = 2, retryDelay = 200 } = options
+    for (let attempt = 0; ; attempt++) {
+        let error
+        try {
+            const { status, body } = await request(url, headers, timeout)
+            if (status == 404) return undefined
+            if (status >= 200 && status < 300) {
+                try {
+                    return JSON.parse(body)
+                } catch (parseError) {
+                    throw new CuError(
+                        `GET ${url}: Invalid JSON (${parseError.message})`
+                    )
+                }
+            }
+            error = new CuError(`GET ${url}: HTTP ${status}`)
+            if (status != 429 && status < 500) throw error
+        } catch (requestError) {
+            if (requestError instanceof CuError) throw requestError
+            error = new CuError(`GET ${url}: ${requestError.message}`)
+        }
+        if (attempt >= retries) throw error
+        await new Promise((resolve) =>
+            setTimeout(resolve, retryDelay * 2 ** attempt)
+        )
+    }
+}
+
+/**
+ * @param {string} url
+ * @param {object} headers
+ * @param {number} timeout  Milliseconds until the whole response is received
+ * @returns {Promise<{status: number, body: string}>}
+ */
+function request(url, headers, timeout) {
+    const client = url.startsWith("https:") ? https : http
+    return new Promise((resolve, reject) => {
+        const req = client.get(url, { headers }, (res) => {
+            const chunks = []
+            res.on("data", (chunk) => chunks.push(chunk))
+            res.on("end", () =>
+                resolve({
+                    status: res.statusCode,
+                    body: Buffer.concat(chunks).toString("utf8"),
+                })
+            )
+            res.on("error", reject)
+        })
+        // A deadline of the whole request (the `timeout`-option of
+        //  http.get() only limits the idle-time of the socket)
+        const timer = setTimeout(
+            () => req.destroy(new Error(`Timeout after ${timeout} ms`)),
+            timeout
+        )
+        req.on("close", () => clearTimeout(timer))
+        req.on("error", reject)
+    })
+}
+
+module.exports = {
+    KV_FORMATS,
+    createHttpKvResolver,
+}
@@ -1,4 +1,28 @@
+import { CuError, CuAggregateError } from "./errors";
+import { parseEnv, parseIni, parseJson, parseYaml } from "./parsers";
+import { parseArgv, readArgv, ReadArgvOptions } from "./argv";
+import { createSecretDirResolver, readSecretFile, SecretDirOptions } from "./secretfiles";
+import { KV_FORMATS, createHttpKvResolver, HttpKvOptions } from "./httpkv";
+import { TYPE_CONVERTERS } from "./types";
+import { DEFAULT_KEY_NAME, encryptValue } from "./encryption";
+import { ConfigTrace, TraceEntry } from "./trace";
+import { SECRET_MASK } from "./secrets";
+import { ConfigWatch } from "./watch";
+import { KeyInfo, formatEnvExample, formatMarkdown } from "./inventory";
+import { EXPRESSION_FUNCTIONS } from "./expressions";
 export const configUpdater: ConfigUpdater;
+/**
+ * Creates a ConfigUpdater that is independent of the `configUpdater`-singleton
+ * (e.g. for libraries and tests). See ConfigUpdater.child() for layered updaters.
+ * @example
+ *     const updater = createConfigUpdater({ env: false })
+ *     updater.register("test", { db: { host: "localhost" } })
+ * @param {object} [options={}]
+ * @param {boolean} [options.env=true]      If `false` reset() doesn't register `process.env`
+ * @param {object} [options.envOptions={}]  Options of the `env`-repository (see register())
+ * @returns {ConfigUpdater} The new updater
+ */
+export function createConfigUpdater(options?: ConfigUpdaterOptions): ConfigUpdater;
 /**
  * Builds a CM-object that can be used in a ConfigUpdater.
  *
@@ -21,6 +45,18 @@ export class CM {
     static DEFAULT_KEY: string;
     static MANDATORY_KEY: string;
     static CALLBACK_KEY: string;
+    static TYPE_KEY: string;
+    static ENCRYPTED_KEY: string;
+    static SECRET_KEY: string;
+    static REF_KEY: string;
+    static IF_KEY: string;
+    static THEN_KEY: string;
+    static ELSE_KEY: string;
+    static SWITCH_KEY: string;
+    static CASES_KEY: string;
+    static EXPR_KEY: string;
+    /** The keywords of the kinds of macros. A macro has exactly one of them */
+    static MACRO_KEYS: string[];
     static PARENT_DEPENDENT_INDICATOR: string;
     static cm(key: any): CM;
     static checkCallback(value: any): boolean;
@@ -29,6 +65,34 @@ export class CM {
     default(value: any): CM;
     mandatory(value: any): CM;
     callback(value: any): CM;
+    /**
+     * Sets/Removes the type the macro-result is converted to.
+     * @param {string|undefined} name  A name of TYPE_CONVERTERS or `undefined` to remove the type
+     * @param {object} options         Optional options of the type (e.g. `separator` and `items` for `list`)
+     * @returns
+     */
+    type(name: string | undefined, options?: object): CM;
+    /**
+     * Sets/Removes the flag that the macro-result must be encrypted.
+     * @param {boolean|string} value  `true`, the expected algorithm (e.g. `aes-256-gcm`) or `false` to remove the flag
+     * @returns
+     */
+    encrypted(value?: boolean | string): CM;
+    /**
+     * Sets/Removes the flag that the macro-result is a secret.
+     * @param {boolean} value  `false` to remove the flag
+     * @returns
+     */
+    secret(value?: boolean): CM;
+    /**
+     * Sets/Removes a keyword of an extension (see ConfigUpdater.registerExtension()).
+     * @example
+     *     cmf("NAME").extension("$trim").extension("$truncate", 20)
+     * @param {string} keyword  The keyword of the extension (e.g. `$trim`)
+     * @param {any} value=true  The option of the keyword or `null` to remove it
+     * @returns
+     */
+    extension(keyword: string, value?: any): CM;
     #private;
 }
 /** Config-Updater (CU) updates objects from any kind of repository like the environment.
@@ -43,11 +107,6 @@ export class CM {
  * @license MIT
  * @author Thomas von Stetten.
  */
-/**
- * Error-Class for the Config-Helper-System
- */
-export class CuError extends Error {
-}
 /**
  * Class to hold one or more dictionaries (Objects) whose values are used to
  * substitute property-values in configuration-dictionaries.\
@@ -55,13 +114,80 @@ export class CuError extends Error {
  * natural order. The first repositories that has a property with the searched
  * name will used as the result
  */
+type UpdateConfigOptions = {
+    include?: Array<string | number>;
+    exclude?: Array<string | number>;
+    initialParentKey?: string;
+    collectErrors?: boolean;
+    interpolate?: boolean;
+    trace?: ConfigTrace;
+    profile?: string | CM | object;
+};
+type ResolveConfigOptions = UpdateConfigOptions & {
+    freeze?: boolean;
+};
+type ExtensionPhase = "beforeLookup" | "afterLookup" | "afterDefault" | "beforeMandatory";
+type ExtensionHandler = (value: any, macro: CM, path: any[], option: any) => any;
+type RepositoryOptions = {
+    secret?: boolean;
+    prefix?: string;
+    separator?: string;
+    ignoreCase?: boolean;
+    naming?: "kebab" | "camel" | "snake" | "SCREAMING_SNAKE";
+    fileSuffix?: string;
+};
+type FileRepositoryOptions = RepositoryOptions & {
+    format?: "json" | "ini" | "yaml" | "yml" | "env" | string;
+    index?: number;
+    resolver?: Function;
+    optional?: boolean;
+    encoding?: BufferEncoding;
+};
+type ConfigUpdaterOptions = {
+    env?: boolean;
+    envOptions?: RepositoryOptions;
+};
 declare class ConfigUpdater {
     static FALLBACK_KEY: string;
+    static PROFILES_KEY: string;
+    static EXTENDS_KEY: string;
+    static EXTENSION_PHASES: ExtensionPhase[];
+    static FILE_PARSERS: {
+        [format: string]: (text: string, options?: object) => any;
+    };
+    /**
+     * Use createConfigUpdater() or child().
+     * @param {object} options={}  See createConfigUpdater()
+     * @param {ConfigUpdater} parent=undefined  The parent of a child()
+     */
+    constructor(options?: ConfigUpdaterOptions, parent?: ConfigUpdater);
     /**
-     * Resets the list of repositories to the initial state (only `process.env` is registered).
+     * Resets the list of repositories to the initial state (only `process.env` is registered
+     * unless the updater was created with `env: false`).
+     * All keys of registerKey() and all extensions are removed, all watches are closed.
+     * The inherited repositories of a child() stay.
+     * @example
+     *     // APP__DB__HOST => "db/host"
+     *     configUpdater.reset({ prefix: "APP__", separator: "__", naming: "SCREAMING_SNAKE" })
+     * @param {object} envOptions  Options of the `env`-repository (see register()). Default: `envOptions` of createConfigUpdater()
      * @returns {ConfigUpdater} reference to this
      */
-    reset(): ConfigUpdater;
+    reset(envOptions?: RepositoryOptions): ConfigUpdater;
+    /**
+     * Creates an updater that inherits the repositories, keys and extensions of this one.
+     *
+     * The child searches its own repositories first and then the ones of
+     * its parent. A repository of the child shadows a repository of the
+     * parent with the same name. Changes of the parent are visible in the
+     * child, changes of the child never affect the parent.
+     * @example
+     *     const tenant = configUpdater.child()
+     *     tenant.register("tenant", { db: { name: "tenant_a" } })
+     *     tenant.getValue("db/name") // => "tenant_a", configUpdater doesn't know it
+     * @param {object} options={}  The options of createConfigUpdater(). `env` defaults to `false`
+     * @returns {ConfigUpdater} The child
+     */
+    child(options?: ConfigUpdaterOptions): ConfigUpdater;
     /**
      * Register an additional repository.
      *
@@ -70,13 +196,170 @@ declare class ConfigUpdater {
      * The position (`index`) is important because when searching for a property \
      * value, the repositories are taken from index 0 to the end of the list. The \
      * lower the index the higher the priority of the repository.
+     * The repositories of a child() are searched before the inherited ones.
+     * With `options.secret` every value of the repository is handled like a
+     * macro with `$secret` (see toRedacted()).
+     *
+     * The options `prefix`, `separator`, `ignoreCase` and `naming` map the
+     * macro-keys (`db/maxConnections`) to the keys of the repository
+     * (`APP__DB__MAX_CONNECTIONS`). With a `separator` a flat repository
+     * answers a key without a value with the tree of all keys below it
+     * (`db` => `{host, maxConnections}`, the keys are converted to `camel` if
+     * `naming` is set). They replace the resolver (see createNamingResolver()).
+     *
+     * With `options.fileSuffix` (usually `_FILE`) a key without a value is
+     * searched again with the suffix (`DB_PASSWORD` => `DB_PASSWORD_FILE`).
+     * Its value is the name of a file and the content of that file (without
+     * trailing newlines) is the secret value (see readSecretFile()).
      * @param {string}  name             Name of the new repository
      * @param {object}  repository       An Object (dictionary) that's used to resolve property-values
      * @param {Number}  index = 9999999  An optional index for the new repository. If the index is >= the current amount of repositories, the new repository is added at the end (default)
      * @param {function} customResolver  An optional resolver-function (e.g. access a DB). If this function is undefined and the repository doesn't contain a function named REPOSITORY_RESOLVE_FUNCTION the default-resolver is used. A resolver receives two parameters: the resolver itself
+     * @param {object}  [options={}]
+     * @param {boolean} [options.secret=false]  If `true` all values of the repository are secrets
+     * @param {string}  [options.prefix=""]     Added to the key (`APP__`)
+     * @param {string}  [options.separator]     Joins the segments of the macro-key to a flat key (`__`)
+     * @param {boolean} [options.ignoreCase=false]  Compare the keys case-insensitive
+     * @param {string}  [options.naming]        Convention of the keys: `kebab`, `camel`, `snake` or `SCREAMING_SNAKE`
+     * @param {string}  [options.fileSuffix]    Suffix of the keys that name a secret-file (`_FILE`)
+     * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If a naming-option or the fileSuffix is invalid or a naming-option is combined with a resolver
+     */
+    register(name: string, repository: object, index?: number, customResolver?: Function, options?: RepositoryOptions): ConfigUpdater;
+    /**
+     * Register the content of a file as a repository.
+     *
+     * Supported formats are `json`, `ini`, `yaml` (a subset, see parseYaml())
+     * and `env` (see registerEnvFile()). The format is taken from the
+     * file-extension (`.json`, `.ini`, `.yaml`/`.yml`, `.env*`) unless
+     * `options.format` is given.
+     * Nested objects of the file can be accessed with `path/to/key` macro-keys.
+     * The file is read once. Use reload() to read it again.
+     * @param {string}  name                       Name of the new repository
+     * @param {string}  fileName                   Path of the file
+     * @param {object}  [options={}]
+     * @param {string}  [options.format]           `json`, `ini`, `yaml` or `env`. Default: taken from the file-extension
+     * @param {number}  [options.index=9999999]    Position of the repository (see register())
+     * @param {function} [options.resolver]        Optional resolver-function (see register())
+     * @param {boolean} [options.optional=false]   If `true` a missing file registers an empty repository instead of throwing
+     * @param {string}  [options.encoding="utf8"]  Encoding of the file
+     * @param {boolean} [options.secret=false]     If `true` all values of the file are secrets (see register())
+     * @param {string}  [options.naming]           And `prefix`, `separator`, `ignoreCase`: naming-options (see register())
+     * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If the file doesn't exist (and isn't optional), the format is unknown or the file has a syntax-error (with file-name and line-number)
+     * @see reload
+     */
+    registerFile(name: string, fileName: string, options?: FileRepositoryOptions): ConfigUpdater;
+    /**
+     * Register the content of a .env-file as a repository.
+     *
+     * The file is parsed by parseEnv() (quotes, escapes, multiline values,
+     * `export `-prefixes, comments and `${VAR}`-interpolation). In contrast
+     * to dotenv the values are *not* copied to `process.env`.
+     * @param {string}  name                       Name of the new repository
+     * @param {string}  fileName                   Path of the .env-file
+     * @param {object}  [options={}]               All options of registerFile() and:
+     * @param {object}  [options.env=process.env]  Fallback for `${VAR}`-interpolation (see parseEnv())
+     * @param {boolean} [options.interpolate=true] Disable the `${VAR}`-interpolation
      * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If the file doesn't exist (and isn't optional) or has a syntax-error
      */
-    register(name: string, repository: object, index?: number, customResolver?: Function): ConfigUpdater;
+    registerEnvFile(name: string, fileName: string, options?: FileRepositoryOptions & {
+        env?: object | null;
+        interpolate?: boolean;
+    }): ConfigUpdater;
+    /**
+     * Register the command-line arguments as a repository (see parseArgv()).
+     *
+     * `--db.host=x`, `--db.host x`, `--cache`/`--no-cache` and repeated
+     * options (arrays) become a nested repository. By default the
+     * arguments override all other repositories (`index` 0).
+     * @example
+     *     // node app.js --db.host=x --db.port 5432 => "db/host", "db/port"
+     *     configUpdater.registerArgv()
+     *     // node app.js --app-db.max-connections=5 => "db/maxConnections"
+     *     configUpdater.registerArgv("argv", { prefix: "--app-", naming: "kebab" })
+     * @param {string} name="argv"   Name of the new repository
+     * @param {object} [options={}]  All options of readArgv() (`argv`, `start`, `end`, `prefix`, `separator`) and:
+     * @param {number} [options.index=0]        Position of the repository (see register())
+     * @param {boolean} [options.secret=false]  If `true` all values are secrets (see register())
+     * @param {string} [options.naming]         Naming-convention of the segments (see register())
+     * @param {boolean} [options.ignoreCase=false]  Compare the keys case-insensitive (see register())
+     * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If an argument is invalid (see parseArgv())
+     */
+    registerArgv(name?: string, options?: ReadArgvOptions & {
+        index?: number;
+        secret?: boolean;
+        naming?: string;
+        ignoreCase?: boolean;
+    }): ConfigUpdater;
+    /**
+     * Register a directory of secret-files as a repository (e.g. Docker
+     * secrets in `/run/secrets` or a mounted Kubernetes secret).
+     *
+     * The macro-key is the name of the file, nested keys are
+     * sub-directories (`db/password` => `<dir>/db/password`) and a
+     * directory is answered with the tree of its files. Trailing newlines
+     * are removed. The files are read at every lookup, so rotated secrets
+     * are used by the next updateConfig(). All values are secrets.
+     * @example
+     *     // /run/secrets/db_password => "DB_PASSWORD"
+     *     configUpdater.registerSecretDir("secrets", "/run/secrets", { naming: "snake" })
+     * @param {string} name        Name of the new repository
+     * @param {string} dir         Path of the directory
+     * @param {object} [options={}]  All options of createSecretDirResolver() (`naming`, `encoding`) and:
+     * @param {number} [options.index=9999999]  Position of the repository (see register())
+     * @param {boolean} [options.optional=false]  If `true` a missing directory is registered anyway (it's read at every lookup)
+     * @param {boolean} [options.secret=true]   If `false` the values aren't secrets
+     * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If the directory doesn't exist (and isn't optional) or the naming-convention is unknown
+     * @see createSecretDirResolver
+     */
+    registerSecretDir(name: string, dir: string, options?: SecretDirOptions & {
+        index?: number;
+        optional?: boolean;
+        secret?: boolean;
+    }): ConfigUpdater;
+    /**
+     * Register an HTTP key-value store (Vault KV v2, Consul KV or plain
+     * JSON) as a repository (see createHttpKvResolver()).
+     *
+     * The resolver returns Promises. Use the async functions
+     * (updateConfigAsync(), resolveConfigAsync(), getValueAsync()).
+     * Responses are cached for `options.cacheTtl` milliseconds. All values
+     * are secrets.
+     * @example
+     *     // db/password => GET http://127.0.0.1:8200/v1/secret/data/db => data.data.password
+     *     configUpdater.registerHttpKv("vault", "http://127.0.0.1:8200/v1/secret/data", {
+     *         format: "vault",
+     *         token: process.env.VAULT_TOKEN,
+     *     })
+     *     await configUpdater.updateConfigAsync(config)
+     * @param {string} name          Name of the new repository
+     * @param {string} url           The base-URL of the keys
+     * @param {object} [options={}]  All options of createHttpKvResolver() (`format`, `token`, `tokenHeader`, `headers`, `mapPath`, `timeout`, `retries`, `retryDelay`, `cacheTtl`) and:
+     * @param {number} [options.index=9999999]  Position of the repository (see register())
+     * @param {boolean} [options.secret=true]   If `false` the values aren't secrets
+     * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If the URL is invalid or the format is unknown
+     */
+    registerHttpKv(name: string, url: string, options?: HttpKvOptions & {
+        index?: number;
+        secret?: boolean;
+    }): ConfigUpdater;
+    /**
+     * Read a file that was registered with registerFile() or registerEnvFile() again.
+     *
+     * The repository keeps its position. If the file can't be read or parsed
+     * the previous content stays registered. A child that reloads an
+     * inherited repository gets its own copy of it, like a repository registered
+     * in the child (the parent keeps its content).
+     * @param {string} name The name of the repository
+     * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If there is no file-repository with that name or the file can't be parsed
+     */
+    reload(name: string): ConfigUpdater;
     /**
      * Remove a previously registered repository using it's name.
      * @param {string} name The name of the repository as it was given to the register-function
@@ -86,6 +369,81 @@ declare class ConfigUpdater {
      * @returns {boolean} `true` if the repository could be deleted. `false` otherwise
      */
     unregister(name: string): boolean;
+    /**
+     * Signals that the values of a repository have changed. All watched
+     * configs are resolved again (see watch()).
+     *
+     * Use it for repositories that can't emit `change`-events themselves.
+     * @param {string} name The name of the repository
+     * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If there is no repository with that name
+     */
+    notifyChange(name: string): ConfigUpdater;
+    /**
+     * Register a key to decrypt encrypted values (`enc:v1:...`).
+     *
+     * Encrypted values contain the name of the key they were encrypted with
+     * (see encryptValue()). The key is loaded whenever a value is decrypted:
+     * - `string|Buffer`: the key itself (hex, base64 or a passphrase)
+     * - `{env: "NAME"}`: the key is read from `process.env.NAME`
+     * - `{file: "path"}`: the key is read from the file
+     * - `function(name)`: returns the key. Can return a Promise (only with updateConfigAsync())
+     *
+     * The keys derived from passphrases (scrypt) are cached until reset().
+     * @param {string} name  The name of the key (default of encryptValue(): `"default"`)
+     * @param {string|Buffer|object|function} source  The key or where it's loaded from
+     * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If the name or the source is invalid
+     */
+    registerKey(name: string, source: string | Buffer | {
+        env: string;
+    } | {
+        file: string;
+    } | ((name: string) => string | Buffer | Promise<string | Buffer>)): ConfigUpdater;
+    /**
+     * Remove a key of registerKey().
+     * @param {string} name  The name of the key
+     * @returns {boolean} `true` if the key could be deleted. `false` otherwise
+     */
+    unregisterKey(name: string): boolean;
+    /**
+     * Register a custom macro-keyword.
+     *
+     * Whenever a macro with the `keyword`-property is resolved the `handler`
+     * is called in the given phase of getCmValue():
+     * - `beforeLookup`: before the repositories are searched. If the
+     *   handler returns a value other than `undefined` the repositories are
+     *   skipped (e.g. a cache)
+     * - `afterLookup`: after the repositories, before the `$default`
+     * - `afterDefault`: after the `$default`, before `$type` and `$callback`
+     * - `beforeMandatory` (default): after the `$callback`, before the
+     *   `$mandatory`-check
+     *
+     * Function prototype: `(value, macro, path, option) => result`
+     * `option` is the value of the keyword-property. The result replaces the
+     * value. The handler can return a Promise (only with the async functions).
+     * Extensions of the same phase are called in the order of their registration.
+     * @example
+     *     configUpdater.registerExtension("$trim", (value) =>
+     *         typeof value == "string" ? value.trim() : value
+     *     )
+     *     config = { name: cmf("NAME").extension("$trim") }
+     * @param {string}   keyword  The name of the macro-property. Must start with `$`
+     * @param {function} handler  The function that's called
+     * @param {object}   [options={}]
+     * @param {string}   [options.phase="beforeMandatory"]  One of EXTENSION_PHASES
+     * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If the keyword is invalid or reserved, the handler isn't a function or the phase is unknown
+     */
+    registerExtension(keyword: string, handler: ExtensionHandler, options?: {
+        phase?: ExtensionPhase;
+    }): ConfigUpdater;
+    /**
+     * Remove an extension of registerExtension().
+     * @param {string} keyword  The keyword of the extension
+     * @returns {boolean} `true` if the extension could be deleted. `false` otherwise
+     */
+    unregisterExtension(keyword: string): boolean;
     /**
      * Get the names of all registered repositories.
      * @returns {Array} Array with the namens of the registered
@@ -116,11 +474,23 @@ declare class ConfigUpdater {
      * @param {CM|any}  cm_or_any  Any property-value. If the value is an object that represent a CM or has the CM-properties it's handled as a macro
      * @param {Array}   path       Represent the path to the property. Must be arn array!
      * @return {any} Either the original `cm_or_any`, the value retrieved from a repository, a default or `undefined`.
-     * @throws CuError  If the value of the $$-property inside the CM-Object is empty or no string.
+     * @throws CuError  If the value of the $$-property inside the CM-Object is empty or no string or a resolver returns a Promise (see getCmValueAsync()).
      * @see toCm
      * @see updateConfig
      */
     getCmValue(cm_or_any: CM | any, path: any[]): any;
+    /**
+     * Async version of getCmValue().
+     *
+     * Resolver-functions and `$callback`-functions may return a Promise. The
+     * Promise is awaited before the result is checked (e.g. whether the next
+     * repository has to be asked).
+     * @param {CM|any}  cm_or_any  Any property-value. If the value is an object that represent a CM or has the CM-properties it's handled as a macro
+     * @param {Array}   path       Represent the path to the property. Must be arn array!
+     * @return {Promise<any>} Resolves to the same value getCmValue() would return for a synchronous resolver.
+     * @see getCmValue
+     */
+    getCmValueAsync(cm_or_any: CM | any, path: any[]): Promise<any>;
     /**
      * Replace the value of `variableName` with a defined value in the repositories.
      *
@@ -133,22 +503,214 @@ declare class ConfigUpdater {
      * @access public
      */
     getValue(propertyKey: string, defaultValue?: CM | any, parentKeyOrPath?: any[] | string): any;
+    /**
+     * Async version of getValue(). Awaits resolvers and callbacks that return a Promise.
+     * @param {string} propertyKey               Name of the key that will be searched
+     * @param {CM|any} defaultValue=undefined    Optional default-value
+     * @param {Array|string} parentKeyOrPath=[]  Optional names of a parent-object (for error-messages)
+     * @returns {Promise<any>}  Resolves to either the substituted value or undefined
+     * @access public
+     */
+    getValueAsync(propertyKey: string, defaultValue?: CM | any, parentKeyOrPath?: any[] | string): Promise<any>;
+    /**
+     * Resolve the `${...}`-placeholders of a string with the repositories.
+     * @param {string} template  A string with placeholders (`${key}`, `${key:-default}`, `${key:?message}`, `$${` for a literal `${`)
+     * @param {Array|string} parentKeyOrPath=[]  Optional path of the property (for `?`-keys and error-messages)
+     * @returns {any}  The resolved string (or the value if the template is a single placeholder)
+     * @throws CuError  If a placeholder is invalid or a `:?`-placeholder has no value
+     * @access public
+     */
+    interpolate(template: string, parentKeyOrPath?: any[] | string): any;
+    /**
+     * Async version of interpolate(). Awaits resolvers and callbacks that return a Promise.
+     * @param {string} template  A string with placeholders
+     * @param {Array|string} parentKeyOrPath=[]  Optional path of the property
+     * @returns {Promise<any>}  Resolves to the resolved string
+     * @access public
+     */
+    interpolateAsync(template: string, parentKeyOrPath?: any[] | string): Promise<any>;
     /**
      * Replace all macros with values from the `configUpdater`.
      *
-     * The function traverses through the whole `config`-object-tree, determines \
+     * The function traverses through the whole `config`-object-tree, determines
      * existing config-macros (=CU, format `{$$, [$default]}`) and replaces their value with
-     * values of the registered repositories.\
-     * If the parent-property has a property '$defaults' all sub-properties of that \
+     * values of the registered repositories.
+     * If the parent-property has a property '$defaults' all sub-properties of that
      * fallback are copied to every sibling-object as far as they don't exist already.
 
      * So the values of `config` get changed!
-     * @param {object|array} config               Any Object whose properties should be updated with values of the configUpdater
-     * @param {Array}        exclude=[]           Optional array of property-names that should not be handled (at any level)
+     * An object that appears several times is resolved once (at its first
+     * position). A config that contains itself throws a CuError.
+     *
+     * Instead of `exclude` an options-object can be passed as the 2nd parameter:
+     * - `exclude`, `initialParentKey`: like the parameters. `exclude` can
+     *   contain path-patterns (see below)
+     * - `include`: Path-patterns of the branches that are resolved. All
+     *   other branches stay unchanged (no mandatory-errors) and can be
+     *   resolved by a later call
+     * - `collectErrors`: If `true` the traversal doesn't stop at the first
+     *   failing macro (mandatory, invalid key, type). All failures are
+     *   collected and thrown as one CuAggregateError at the end. The failed
+     *   macros stay unchanged.
+     * - `interpolate`: If `true` string-values are templates. Their
+     *   `${key}`-placeholders are resolved (see interpolate()).
+     * - `trace`: A ConfigTrace that records where every value came from
+     *   (see explain()).
+     * - `profile`: The active profile. A string or a macro (`cmf("NODE_ENV")`).
+     *
+     * Macros with a `$ref` (see CM) are resolved after all other macros, in
+     * the order of their dependencies. References that depend on themselves
+     * throw a CuError with the paths.
+     *
+     * A `$profiles`-property holds variants of its object by profile-name.
+     * The variant of the active profile is deep-merged over the object
+     * (objects are merged, all other values replace the value of the
+     * object). A variant can inherit from another one with
+     * `$extends: "<profile>"`. The `$profiles`-property is removed, also
+     * if no profile is active.
+     *
+     * Path-patterns use `/` as separator and match the path of a property
+     * (including `initialParentKey`). `*` matches one segment (or a part of
+     * it: `db_*`), `**` any number of segments. Array-indices are segments
+     * as well. A pattern without `/` matches a property-name at any depth,
+     * a leading `/` anchors it at the root.
+     * @param {object|array} root                 Any Object whose properties should be updated with values of the configUpdater
+     * @param {Array|object} exclude=[]           Optional array of property-names (at any level) or path-patterns that should not be handled or an options-object
      * @param {string}       initialParentKey=""  Optional name of the parent property. Used to add the branch-name for $$: "?..." replacements. This is *only* necessary if the function is called with a partial branch.
      * @returns {Object|Array} Returns the given `config`-parameter-object
+     * @throws CuAggregateError  With all failures if `collectErrors` is set
+     * @throws CuError  If the config, a default-chain, the references or the profiles contain a cycle, the profile is invalid or a resolver returns a Promise (see updateConfigAsync())
+     */
+    updateConfig(root: object | any[], exclude?: any[] | UpdateConfigOptions, initialParentKey?: string): any | any[];
+    /**
+     * Async version of updateConfig().
+     *
+     * Resolvers and callbacks may return a Promise. All macros of the config
+     * are resolved concurrently. Results of a macro that contain macros
+     * themselves are resolved as soon as the result is available.
+     * @param {object|array} root                 Any Object whose properties should be updated with values of the configUpdater
+     * @param {Array|object} exclude=[]           Optional array of property-names (at any level) or path-patterns that should not be handled or an options-object (see updateConfig())
+     * @param {string}       initialParentKey=""  Optional name of the parent property. Used to add the branch-name for $$: "?..." replacements.
+     * @returns {Promise<Object|Array>} Resolves to the given `config`-parameter-object
+     * @see updateConfig
+     */
+    updateConfigAsync(root: object | any[], exclude?: any[] | UpdateConfigOptions, initialParentKey?: string): Promise<any | any[]>;
+    /**
+     * Resolves a config-template without changing it.
+     *
+     * In contrast to updateConfig() the result is a copy of the `template`:
+     * - Every sibling gets its own copy of the `$defaults`-entries
+     * - `$defaults`-nodes are removed from the result
+     * - Objects of repositories (or defaults) are copied before their
+     *   macros are resolved
+     *
+     * So the same template can be resolved repeatedly (e.g. per tenant).
+     * Class-instances (`URL`, `Buffer`, ...) and functions aren't copied.
+     * @example
+     *     const config = configUpdater.resolveConfig(template, { freeze: true })
+     * @param {object|array} template  The config with macros
+     * @param {object} [options={}]    All options of updateConfig() and:
+     * @param {boolean} [options.freeze=false]  If `true` the result is deep-frozen (see Object.freeze())
+     * @returns {Object|Array} The resolved copy
+     * @throws CuAggregateError  With all failures if `collectErrors` is set. `config` is the partially resolved copy
+     */
+    resolveConfig(template: object | any[], options?: ResolveConfigOptions): any | any[];
+    /**
+     * Async version of resolveConfig(). Awaits resolvers and callbacks that return a Promise.
+     * @param {object|array} template  The config with macros
+     * @param {object} options={}      All options of resolveConfig()
+     * @returns {Promise<Object|Array>} Resolves to the resolved copy
+     * @throws CuAggregateError  With all failures if `collectErrors` is set
+     * @see resolveConfig
+     */
+    resolveConfigAsync(template: object | any[], options?: ResolveConfigOptions): Promise<any | any[]>;
+    /**
+     * Updates the config like updateConfig() and keeps it up to date.
+     *
+     * The ConfigUpdater remembers every macro of the config. Whenever a
+     * repository is registered, unregistered, reloaded or signals a change
+     * (a `change`-event of the repository or notifyChange()) the macros are
+     * resolved again. Changed values are written into the config and
+     * emitted as events of the returned ConfigWatch. Only synchronous
+     * resolvers and callbacks are supported. Objects of repositories are
+     * copied into the config, so a changed repository-object is seen by the
+     * next refresh.
+     * @example
+     *     const watch = configUpdater.watch(config)
+     *     watch.on("change", ({ path, oldValue, newValue }) => log(path))
+     *     watch.on("db/password", ({ newValue }) => pool.reconnect(newValue))
+     *     configUpdater.reload("secrets") // => events
+     *     watch.close()
+     * @param {object|array} config  The config with macros (it's changed like by updateConfig())
+     * @param {object} options={}    The options of updateConfig() (without `collectErrors`)
+     * @returns {ConfigWatch} The watch with the events `change`, `<path>` and `error`
+     * @throws CuError  Like updateConfig()
+     */
+    watch(config: object | any[], options?: UpdateConfigOptions): ConfigWatch;
+    /**
+     * Updates the config like updateConfig() and returns where every value came from.
+     * @example
+     *     const trace = configUpdater.explain(config)
+     *     trace.describe("db/host") // => {key: "DB_HOST", repository: "env", defaultUsed: false, ...}
+     *     console.log(trace.toString())
+     * @param {object|array} root     Any Object whose properties should be updated
+     * @param {object}       options  The options of updateConfig()
+     * @returns {ConfigTrace} The trace of all resolved config-paths
+     */
+    explain(root: object | any[], options?: UpdateConfigOptions): ConfigTrace;
+    /**
+     * Resolves a value like getValue() and returns where it came from.
+     * @param {string} propertyKey               Name of the key that will be searched
+     * @param {CM|any} defaultValue=undefined    Optional default-value
+     * @param {Array|string} parentKeyOrPath=[]  Optional names of a parent-object
+     * @returns {object} The TraceEntry (see ConfigTrace) with the `value` (masked for secrets)
+     */
+    explainValue(propertyKey: string, defaultValue?: CM | any, parentKeyOrPath?: any[] | string): TraceEntry;
+    /**
+     * Lists the keys that a config needs without resolving it.
+     *
+     * The template is traversed like by updateConfig() (`$defaults`,
+     * `$profiles`, `?`-keys, `include`/`exclude`) but no repository is
+     * consulted and the template isn't changed. Every key of a macro (and
+     * of the macros of its default-chain, of all branches of its
+     * conditions and of its expression) is returned once with all paths
+     * that use it. With `interpolate` the `${key}`-placeholders of strings
+     * are keys as well. Macros that are the result of other macros can't
+     * be found.
+     * @example
+     *     const keys = configUpdater.analyze(config)
+     *     fs.writeFileSync(".env.example", formatEnvExample(keys))
+     * @param {object|array} template  The config with macros
+     * @param {object} [options={}]    The options of updateConfig() (`include`, `exclude`, `initialParentKey`, `interpolate`) and:
+     * @param {string} [options.profile] The name of the active profile (a macro isn't resolved)
+     * @returns {object[]} The keys in the order of their first use (KeyInfo, see inventory.js)
+     * @throws CuError  If a macro-key or a placeholder is invalid or the config or its profiles contain a cycle
+     */
+    analyze(template: object | any[], options?: Omit<UpdateConfigOptions, "profile" | "collectErrors" | "trace"> & {
+        profile?: string;
+    }): KeyInfo[];
+    /**
+     * Returns a copy of an updated config with all secret values replaced by `"******"`.
+     *
+     * Secrets are the results of macros with `$secret`, values of secret
+     * repositories (see register()) and decrypted values. updateConfig()
+     * remembers them per object. So a sub-tree of the config can be
+     * redacted as well. The config itself isn't changed.
+     * @example
+     *     configUpdater.updateConfig(config)
+     *     console.log(JSON.stringify(configUpdater.toRedacted(config)))
+     * @param {any} config  A config (or a sub-tree) that was updated by this ConfigUpdater
+     * @returns {any} The redacted copy
+     */
+    toRedacted(config: any): any;
+    /**
+     * Formats an updated config for logging, with all secrets masked.
+     * @param {any} config      A config (or a sub-tree) that was updated by this ConfigUpdater
+     * @param {object} options  Options of `util.inspect()` (default: `depth: null`)
+     * @returns {string} The redacted config as string
+     * @see toRedacted
      */
-    updateConfig(config: object | any[], exclude?: any[], initialParentKey?: string): any | any[];
+    inspect(config: any, options?: import("util").InspectOptions): string;
     #private;
 }
-export { configUpdater as cu };
+export { configUpdater as cu, CuError, CuAggregateError, parseEnv, parseIni, parseJson, parseYaml, parseArgv, readArgv, createSecretDirResolver, readSecretFile, KV_FORMATS, createHttpKvResolver, TYPE_CONVERTERS, encryptValue, DEFAULT_KEY_NAME, ConfigTrace, SECRET_MASK, ConfigWatch, EXPRESSION_FUNCTIONS, formatEnvExample, formatMarkdown };
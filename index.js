@@ -13,23 +13,40 @@
  * @author Thomas von Stetten.
  */
 
-/*
- * Ideas:
- * - include-path-xyz to avoid mandatory-errors (or any other) for unused branches
- * - decrypt-option for CM
- * - registerable extensions for CM class. Implemented in CU. Used at the end of
- *   getCmValue() (before testing `mandatory` by passing the whole-makro-definition
- *   and the resolved return-value
- */
-
 // @ts-check   Enable TypeScript Type checking in VScode Editor
 // cspell ignore syntax: // spell: ignore <word>
 // ts-check type-hint: // @type {{a: number}}
 
-/**
- * Error-Class for the Config-Helper-System
- */
-class CuError extends Error {}
+const fs = require("fs")
+const nodePath = require("path")
+const util = require("util")
+const { CuError, CuAggregateError } = require("./errors")
+const { ConfigTrace } = require("./trace")
+const { SECRET_MASK, SecretRegistry, maskSecret } = require("./secrets")
+const { PathSelection } = require("./paths")
+const { deepClone, deepFreeze, isContainer } = require("./objects")
+const { createNamingResolver, hasNamingOptions } = require("./naming")
+const { ConfigWatch } = require("./watch")
+const {
+    EXPRESSION_FUNCTIONS,
+    evaluateExpression,
+    expressionKeys,
+    parseExpression,
+} = require("./expressions")
+const { formatEnvExample, formatMarkdown } = require("./inventory")
+const { parseArgv, readArgv } = require("./argv")
+const { createSecretDirResolver, readSecretFile } = require("./secretfiles")
+const { KV_FORMATS, createHttpKvResolver } = require("./httpkv")
+const { parseEnv, parseIni, parseJson, parseYaml } = require("./parsers")
+const { TYPE_CONVERTERS, convertType, convertValue } = require("./types")
+const {
+    DEFAULT_KEY_NAME,
+    decryptValue,
+    encryptValue,
+    isEncrypted,
+    parseEncrypted,
+    toKey,
+} = require("./encryption")
 
 /**
  * Config-Macro (CM)
@@ -70,12 +87,73 @@ class CuError extends Error {}
  *      - `<path-to-the-key>` = an array with the complete path to the current macro. Useful especially for error-messages.
  *      - `<macro-itself>` = the complete macro. So it's possible to access the standard-keys as well as any custom property added to the macro.
  *      - `<result>` = the return-value of the function is used as the result of the macro.
+ * - `$type`:\
+ *   Converts the resolved value (or the default) before the callback is \
+ *   called. Either a type-name (`number`, `integer`, `boolean`, `json`, \
+ *   `list`, `url`, `duration`, `bytes`, `string`) or an object with the name \
+ *   and options (e.g. `{name: "list", separator: ";", items: "integer"}`).\
+ *   If the value can't be converted a CuError gets thrown.
+ * - `$encrypted`:\
+ *   The value must be encrypted (`enc:v1:...`, see encryptValue()). It's \
+ *   decrypted with a key of ConfigUpdater.registerKey() before the type is \
+ *   converted. `true` or the name of the expected algorithm (`aes-256-gcm`).\
+ *   Values that start with `enc:v1:` are decrypted even without this flag.
+ * - `$secret`:\
+ *   The value is a secret. updateConfig() remembers the property so that \
+ *   toRedacted() and inspect() mask it. The value is also masked in \
+ *   CuError-messages and traces.
+ * - Custom keywords (e.g. `$trim`):\
+ *   Keywords of ConfigUpdater.registerExtension(). Set them with extension().
+ *
+ * Instead of `$$` a macro can have a `$ref`:\
+ *   The path of another node of the config (`/db/host` from the root, \
+ *   `../db/host` or `host` from the object that contains the macro). The \
+ *   value of the node is used after the node was resolved. All other keys \
+ *   (`$default`, `$type`, ...) work like for `$$`. E.g. \
+ *   `{$$: "CACHE_HOST", $default: {$ref: "/db/host"}}`.
+ *
+ * Or a condition (the selector and the branches can be macros themselves, \
+ * only the branch that is taken is resolved):
+ * - `$if`, `$then`, `$else`:\
+ *   `$then` if the value of `$if` is true, otherwise `$else`. `undefined`, \
+ *   `null`, `false`, `0`, `""` and the strings `false`, `no` and `0` are \
+ *   false. E.g. `{$if: {$$: "TLS"}, $then: {cert: ...}}`.
+ * - `$switch`, `$cases`, `$else`:\
+ *   The entry of `$cases` that is named like the value of `$switch`, \
+ *   otherwise `$else`. E.g. \
+ *   `{$switch: {$$: "NODE_ENV"}, $cases: {production: 50}, $else: 5}`.
+ *
+ *   The result of the branch is the value of the macro. All other keys \
+ *   (`$default`, `$type`, `$mandatory`, ...) work like for `$$`.
+ *
+ * Or an expression (`$expr`):\
+ *   A computed value, e.g. `{$expr: "HOST + ':' + (PORT + 1)"}`. Names are \
+ *   keys of the repositories (see expressions.js). All other keys work \
+ *   like for `$$`.
  */
 class CM {
     static KEY_KEY = "$$"
     static DEFAULT_KEY = "$default"
     static MANDATORY_KEY = "$mandatory"
     static CALLBACK_KEY = "$callback"
+    static TYPE_KEY = "$type"
+    static ENCRYPTED_KEY = "$encrypted"
+    static SECRET_KEY = "$secret"
+    static REF_KEY = "$ref"
+    static IF_KEY = "$if"
+    static THEN_KEY = "$then"
+    static ELSE_KEY = "$else"
+    static SWITCH_KEY = "$switch"
+    static CASES_KEY = "$cases"
+    static EXPR_KEY = "$expr"
+    /** The keywords of the kinds of macros. A macro has exactly one of them */
+    static MACRO_KEYS = [
+        CM.KEY_KEY,
+        CM.REF_KEY,
+        CM.IF_KEY,
+        CM.SWITCH_KEY,
+        CM.EXPR_KEY,
+    ]
     static PARENT_DEPENDENT_INDICATOR = "?"
 
     /**
@@ -161,6 +239,59 @@ class CM {
         else this.#removeProp(CM.CALLBACK_KEY)
         return this
     }
+    /**
+     * Sets/Removes the type the macro-result is converted to.
+     * @example
+     *     cmf("PORT").type("integer")
+     *     cmf("HOSTS").type("list", { separator: ";" })
+     * @param {string|undefined} name  A name of TYPE_CONVERTERS or `undefined` to remove the type
+     * @param {object} options         Optional options of the type (e.g. `separator` and `items` for `list`)
+     * @returns
+     */
+    type(name, options = undefined) {
+        if (!name) this.#removeProp(CM.TYPE_KEY)
+        else this[CM.TYPE_KEY] = options ? { ...options, name } : name
+        return this
+    }
+    /**
+     * Sets/Removes the flag that the macro-result must be encrypted.
+     * @param {boolean|string} value  `true`, the expected algorithm (e.g. `aes-256-gcm`) or `false` to remove the flag
+     * @returns
+     */
+    encrypted(value = true) {
+        if (!value) this.#removeProp(CM.ENCRYPTED_KEY)
+        else this[CM.ENCRYPTED_KEY] = value
+        return this
+    }
+
+    /**
+     * Sets/Removes the flag that the macro-result is a secret.
+     * @param {boolean} value  `false` to remove the flag
+     * @returns
+     */
+    secret(value = true) {
+        if (!value) this.#removeProp(CM.SECRET_KEY)
+        else this[CM.SECRET_KEY] = true
+        return this
+    }
+
+    /**
+     * Sets/Removes a keyword of an extension (see ConfigUpdater.registerExtension()).
+     * @example
+     *     cmf("NAME").extension("$trim").extension("$truncate", 20)
+     * @param {string} keyword  The keyword of the extension (e.g. `$trim`)
+     * @param {any} value=true  The option of the keyword or `null` to remove it
+     * @returns
+     */
+    extension(keyword, value = true) {
+        if (!keyword || typeof keyword !== "string")
+            throw new CuError(
+                `extension(): "keyword" must be a non-empty-string ("${keyword}")`
+            )
+        if (value === null) this.#removeProp(keyword)
+        else this[keyword] = value
+        return this
+    }
 
     // Access-functions that work with CM-instances an manually created macro-objects
     // They are independent of future changes of the statics
@@ -176,6 +307,29 @@ class CM {
     static getCallback(cm) {
         if (cm) return cm[CM.CALLBACK_KEY]
     }
+    static getType(cm) {
+        if (cm) return cm[CM.TYPE_KEY]
+    }
+    static getEncrypted(cm) {
+        if (cm) return cm[CM.ENCRYPTED_KEY]
+    }
+    static getSecret(cm) {
+        if (cm) return cm[CM.SECRET_KEY]
+    }
+    static getRef(cm) {
+        if (cm) return cm[CM.REF_KEY]
+    }
+    /**
+     * Checks whether a value is a macro (an object with a `$$`-, `$ref`-, \
+     * `$if`-, `$switch`- or `$expr`-property).
+     * @param {any} value
+     * @returns {boolean}
+     */
+    static isMacro(value) {
+        return Boolean(
+            value && CM.MACRO_KEYS.some((name) => value.hasOwnProperty(name))
+        )
+    }
     static getParentDependent(cm) {
         if (cm) return cm[CM.KEY_KEY].startsWith(CM.PARENT_DEPENDENT_INDICATOR)
     }
@@ -190,13 +344,53 @@ class CM {
  */
 class ConfigUpdater {
     static FALLBACK_KEY = "$defaults"
+    // Variants of an object, by profile-name (see updateConfig(), option `profile`)
+    static PROFILES_KEY = "$profiles"
+    // The profile that a profile inherits from
+    static EXTENDS_KEY = "$extends"
+    // Phases of getCmValue() in which extensions are called (see registerExtension())
+    static EXTENSION_PHASES = [
+        "beforeLookup",
+        "afterLookup",
+        "afterDefault",
+        "beforeMandatory",
+    ]
+    // Parsers of registerFile(), by format-name (= file-extension)
+    static FILE_PARSERS = {
+        env: parseEnv,
+        ini: parseIni,
+        json: parseJson,
+        yaml: parseYaml,
+        yml: parseYaml,
+    }
 
-    // List of the repositories attached.
-    //                  0        1         2
-    //  entry-format: [name, resolver, dictionary]
+    // List of the repositories attached. Entry-format:
+    //  {name, resolver, repository (the dictionary), reload (only files): function,
+    //   secret: boolean, onChange (the change-listener), fileSuffix (see register())}
     #repositories = []
+    // Keys to decrypt encrypted values. name => key-source (see registerKey())
+    #keys = new Map()
+    // Keys derived from passphrases (scrypt is slow). "<algorithm>:<passphrase>" => Buffer
+    #derivedKeys = new Map()
+    // Properties of updated configs that got a secret value
+    #secrets = new SecretRegistry()
+    // Custom macro-keywords. keyword => {handler, phase} (see registerExtension())
+    #extensions = new Map()
+    // Watched configs (see watch()), including the watches of all children
+    #watches = new Set()
+    // The updater whose repositories, keys and extensions are inherited (see child())
+    #parent
+    // The options of createConfigUpdater()
+    #options
 
-    constructor() {
+    /**
+     * Use createConfigUpdater() or child().
+     * @param {object} options={}  See createConfigUpdater()
+     * @param {ConfigUpdater} parent=undefined  The parent of a child()
+     */
+    constructor(options = {}, parent = undefined) {
+        this.#parent = parent
+        this.#options = { env: !parent, ...options }
         // automatically add the environment
         this.reset()
     }
@@ -229,15 +423,83 @@ class ConfigUpdater {
     }
 
     /**
-     * Resets the list of repositories to the initial state (only `process.env` is registered).
+     * Resets the list of repositories to the initial state (only `process.env` is registered \
+     * unless the updater was created with `env: false`). \
+     * All keys of registerKey() and all extensions are removed, all watches are closed. \
+     * The inherited repositories of a child() stay.
+     * @example
+     *     // APP__DB__HOST => "db/host"
+     *     configUpdater.reset({ prefix: "APP__", separator: "__", naming: "SCREAMING_SNAKE" })
+     * @param {object} envOptions  Options of the `env`-repository (see register()). Default: `envOptions` of createConfigUpdater()
      * @returns {ConfigUpdater} reference to this
      */
-    reset() {
+    reset(envOptions = this.#options.envOptions || {}) {
+        this.#repositories.forEach(ConfigUpdater.#stopListening)
+        this.#watches.forEach((watch) => watch.close())
         this.#repositories = []
-        this.register("env", process.env)
+        this.#keys = new Map()
+        this.#derivedKeys = new Map()
+        this.#extensions = new Map()
+        if (this.#options.env)
+            this.register("env", process.env, undefined, undefined, envOptions)
 
         return this
     }
+
+    /**
+     * Creates an updater that inherits the repositories, keys and extensions of this one.
+     *
+     * The child searches its own repositories first and then the ones of \
+     * its parent. A repository of the child shadows a repository of the \
+     * parent with the same name. Changes of the parent are visible in the \
+     * child, changes of the child never affect the parent.
+     * @example
+     *     const tenant = configUpdater.child()
+     *     tenant.register("tenant", { db: { name: "tenant_a" } })
+     *     tenant.getValue("db/name") // => "tenant_a", configUpdater doesn't know it
+     * @param {object} options={}  The options of createConfigUpdater(). `env` defaults to `false`
+     * @returns {ConfigUpdater} The child
+     */
+    child(options = {}) {
+        return new ConfigUpdater(options, this)
+    }
+
+    /**
+     * The repositories that are searched: the own ones and the inherited ones \
+     * that aren't shadowed.
+     * @returns {Array} Entries of #repositories
+     */
+    #allRepositories() {
+        if (!this.#parent) return this.#repositories
+        const names = new Set(this.#repositories.map((entry) => entry.name))
+        return [
+            ...this.#repositories,
+            ...this.#parent
+                .#allRepositories()
+                .filter((entry) => !names.has(entry.name)),
+        ]
+    }
+
+    /**
+     * The extensions that are called: the inherited ones and the own ones.
+     * @returns {Map} keyword => {handler, phase}
+     */
+    #allExtensions() {
+        if (!this.#parent) return this.#extensions
+        return new Map([...this.#parent.#allExtensions(), ...this.#extensions])
+    }
+
+    /**
+     * @returns {ConfigUpdater[]} This updater and its parents (the root is the last one)
+     */
+    #withParents() {
+        const updaters = []
+        /** @type {ConfigUpdater} */
+        let updater = this
+        for (; updater; updater = updater.#parent) updaters.push(updater)
+        return updaters
+    }
+
     /**
      * Register an additional repository.
      *
@@ -245,28 +507,328 @@ class ConfigUpdater {
      * Optionally the `index` of the new repository can be defined. \
      * The position (`index`) is important because when searching for a property \
      * value, the repositories are taken from index 0 to the end of the list. The \
-     * lower the index the higher the priority of the repository.
+     * lower the index the higher the priority of the repository. \
+     * The repositories of a child() are searched before the inherited ones.
      * The `customResolver` is a function that's called whenever a value is searched \
      * The function has the following
+     * With `options.secret` every value of the repository is handled like a \
+     * macro with `$secret` (see toRedacted()).
+     *
+     * If the repository has an `on`-function (e.g. an EventEmitter) its \
+     * `change`-events re-resolve all watched configs (see watch()). So do \
+     * register() and unregister().
+     *
+     * The options `prefix`, `separator`, `ignoreCase` and `naming` map the \
+     * macro-keys (`db/maxConnections`) to the keys of the repository \
+     * (`APP__DB__MAX_CONNECTIONS`). With a `separator` a flat repository \
+     * answers a key without a value with the tree of all keys below it \
+     * (`db` => `{host, maxConnections}`, the keys are converted to `camel` if \
+     * `naming` is set). They replace the resolver (see createNamingResolver()).
+     *
+     * With `options.fileSuffix` (usually `_FILE`) a key without a value is \
+     * searched again with the suffix (`DB_PASSWORD` => `DB_PASSWORD_FILE`). \
+     * Its value is the name of a file and the content of that file (without \
+     * trailing newlines) is the secret value (see readSecretFile()).
+     * @example
+     *     configUpdater.register("vault", vaultValues, 0, undefined, { secret: true })
+     *     configUpdater.register("env", process.env, 0, undefined, {
+     *         prefix: "APP__",
+     *         separator: "__",
+     *         naming: "SCREAMING_SNAKE",
+     *     })
+     *     // DB_PASSWORD_FILE=/run/secrets/db_pw => "DB_PASSWORD" is the content of the file
+     *     configUpdater.register("env", process.env, 0, undefined, { fileSuffix: "_FILE" })
      * @param {string}  name             Name of the new repository
      * @param {object}  repository       An Object (dictionary) that's used to resolve property-values
      * @param {number}  index = 9999999  An optional index for the new repository. If the index is >= the current amount of repositories, the new repository is added at the end (default)
      * @param {function} resolver        An optional function that handles the search-process. It's called for every macro that's evaluated. If not provided the CM.#default_resolver() is used.
+     * @param {object}  [options={}]
+     * @param {boolean} [options.secret=false]  If `true` all values of the repository are secrets
+     * @param {string}  [options.prefix=""]     Added to the key (`APP__`)
+     * @param {string}  [options.separator]     Joins the segments of the macro-key to a flat key (`__`)
+     * @param {boolean} [options.ignoreCase=false]  Compare the keys case-insensitive
+     * @param {string}  [options.naming]        Convention of the keys: `kebab`, `camel`, `snake` or `SCREAMING_SNAKE`
+     * @param {string}  [options.fileSuffix]    Suffix of the keys that name a secret-file (`_FILE`)
      * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If a naming-option or the fileSuffix is invalid or a naming-option is combined with a resolver
      * @see #default_resolver()
      */
-    register(name, repository, index = 9999999, resolver = undefined) {
-        // Add an array with [0] = the resolver-function an [1] = the resolver-data
-        this.unregister(name)
-        this.#repositories.splice(index, 0, [
+    register(
+        name,
+        repository,
+        index = 9999999,
+        resolver = undefined,
+        options = {}
+    ) {
+        if (hasNamingOptions(options)) {
+            if (resolver)
+                throw new CuError(
+                    `The repository "${name}" can't have a resolver and naming-options`
+                )
+            resolver = createNamingResolver(options)
+        }
+        const { fileSuffix } = options
+        if (
+            fileSuffix !== undefined &&
+            (!fileSuffix || typeof fileSuffix != "string")
+        )
+            throw new CuError(
+                `Invalid fileSuffix "${fileSuffix}" of the repository "${name}"`
+            )
+        this.#remove(name)
+        const entry = {
             name,
-            resolver || this.#default_resolver,
+            resolver: resolver || this.#default_resolver,
             repository,
-        ])
+            reload: undefined,
+            secret: Boolean(options.secret),
+            onChange: undefined,
+            fileSuffix,
+        }
+        if (repository && typeof repository.on == "function") {
+            entry.onChange = () => this.#refreshWatches()
+            repository.on("change", entry.onChange)
+        }
+        this.#repositories.splice(index, 0, entry)
+        this.#refreshWatches()
+
+        return this
+    }
+
+    /**
+     * Register the content of a file as a repository.
+     *
+     * Supported formats are `json`, `ini`, `yaml` (a subset, see parseYaml()) \
+     * and `env` (see registerEnvFile()). The format is taken from the \
+     * file-extension (`.json`, `.ini`, `.yaml`/`.yml`, `.env*`) unless \
+     * `options.format` is given.\
+     * Nested objects of the file can be accessed with `path/to/key` macro-keys. \
+     * The file is read once. Use reload() to read it again.
+     * @example
+     *     configUpdater.registerFile("secrets", "/etc/app/secrets.json", { index: 0 })
+     *     configUpdater.getValue("db/password")
+     * @param {string}  name                       Name of the new repository
+     * @param {string}  fileName                   Path of the file
+     * @param {object}  [options={}]
+     * @param {string}  [options.format]           `json`, `ini`, `yaml` or `env`. Default: taken from the file-extension
+     * @param {number}  [options.index=9999999]    Position of the repository (see register())
+     * @param {function} [options.resolver]        Optional resolver-function (see register())
+     * @param {boolean} [options.optional=false]   If `true` a missing file registers an empty repository instead of throwing
+     * @param {string}  [options.encoding="utf8"]  Encoding of the file
+     * @param {boolean} [options.secret=false]     If `true` all values of the file are secrets (see register())
+     * @param {string}  [options.naming]           And `prefix`, `separator`, `ignoreCase`: naming-options (see register())
+     * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If the file doesn't exist (and isn't optional), the format is unknown or the file has a syntax-error (with file-name and line-number)
+     * @see reload
+     */
+    registerFile(name, fileName, options = {}) {
+        const load = () => ConfigUpdater.#loadFile(fileName, options)
+        this.register(name, load(), options.index, options.resolver, options)
+        this.#repositories.find((entry) => entry.name == name).reload = load
+        return this
+    }
+
+    /**
+     * Register the content of a .env-file as a repository.
+     *
+     * The file is parsed by parseEnv() (quotes, escapes, multiline values, \
+     * `export `-prefixes, comments and `${VAR}`-interpolation). In contrast \
+     * to dotenv the values are *not* copied to `process.env`. Several files \
+     * can be stacked as separate repositories with their own priority:
+     * @example
+     *     configUpdater
+     *         .registerEnvFile(".env.local", ".env.local", { index: 0, optional: true })
+     *         .registerEnvFile(".env", ".env", { optional: true })
+     * @param {string}  name                       Name of the new repository
+     * @param {string}  fileName                   Path of the .env-file
+     * @param {object}  [options={}]               All options of registerFile() and:
+     * @param {object}  [options.env=process.env]  Fallback for `${VAR}`-interpolation (see parseEnv())
+     * @param {boolean} [options.interpolate=true] Disable the `${VAR}`-interpolation
+     * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If the file doesn't exist (and isn't optional) or has a syntax-error
+     * @see parseEnv
+     * @see registerFile
+     */
+    registerEnvFile(name, fileName, options = {}) {
+        return this.registerFile(name, fileName, { ...options, format: "env" })
+    }
 
+    /**
+     * Register the command-line arguments as a repository (see parseArgv()).
+     *
+     * `--db.host=x`, `--db.host x`, `--cache`/`--no-cache` and repeated \
+     * options (arrays) become a nested repository. By default the \
+     * arguments override all other repositories (`index` 0).
+     * @example
+     *     // node app.js --db.host=x --db.port 5432 => "db/host", "db/port"
+     *     configUpdater.registerArgv()
+     *     // node app.js --app-db.max-connections=5 => "db/maxConnections"
+     *     configUpdater.registerArgv("argv", { prefix: "--app-", naming: "kebab" })
+     * @param {string} name="argv"   Name of the new repository
+     * @param {object} [options={}]  All options of readArgv() (`argv`, `start`, `end`, `prefix`, `separator`) and:
+     * @param {number} [options.index=0]        Position of the repository (see register())
+     * @param {boolean} [options.secret=false]  If `true` all values are secrets (see register())
+     * @param {string} [options.naming]         Naming-convention of the segments (see register())
+     * @param {boolean} [options.ignoreCase=false]  Compare the keys case-insensitive (see register())
+     * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If an argument is invalid (see parseArgv())
+     */
+    registerArgv(name = "argv", options = {}) {
+        const {
+            index = 0,
+            secret,
+            naming,
+            ignoreCase,
+            ...argvOptions
+        } = options
+        // `prefix` and `separator` are options of the arguments, not of the resolver
+        return this.register(name, readArgv(argvOptions), index, undefined, {
+            secret,
+            naming,
+            ignoreCase,
+        })
+    }
+
+    /**
+     * Register a directory of secret-files as a repository (e.g. Docker \
+     * secrets in `/run/secrets` or a mounted Kubernetes secret).
+     *
+     * The macro-key is the name of the file, nested keys are \
+     * sub-directories (`db/password` => `<dir>/db/password`) and a \
+     * directory is answered with the tree of its files. Trailing newlines \
+     * are removed. The files are read at every lookup, so rotated secrets \
+     * are used by the next updateConfig(). All values are secrets.
+     * @example
+     *     // /run/secrets/db_password => "DB_PASSWORD"
+     *     configUpdater.registerSecretDir("secrets", "/run/secrets", { naming: "snake" })
+     * @param {string} name        Name of the new repository
+     * @param {string} dir         Path of the directory
+     * @param {object} [options={}]  All options of createSecretDirResolver() (`naming`, `encoding`) and:
+     * @param {number} [options.index=9999999]  Position of the repository (see register())
+     * @param {boolean} [options.optional=false]  If `true` a missing directory is registered anyway (it's read at every lookup)
+     * @param {boolean} [options.secret=true]   If `false` the values aren't secrets
+     * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If the directory doesn't exist (and isn't optional) or the naming-convention is unknown
+     * @see createSecretDirResolver
+     */
+    registerSecretDir(name, dir, options = {}) {
+        const {
+            index,
+            optional = false,
+            secret = true,
+            ...dirOptions
+        } = options
+        const resolver = createSecretDirResolver(dirOptions)
+        if (!optional && !ConfigUpdater.#isDirectory(dir))
+            throw new CuError(`The secret-directory "${dir}" doesn't exist`)
+        return this.register(name, dir, index, resolver, { secret })
+    }
+
+    /**
+     * @param {string} dir
+     * @returns {boolean} `true` if `dir` is an existing directory
+     */
+    static #isDirectory(dir) {
+        try {
+            return fs.statSync(dir).isDirectory()
+        } catch (error) {
+            return false
+        }
+    }
+
+    /**
+     * Register an HTTP key-value store (Vault KV v2, Consul KV or plain \
+     * JSON) as a repository (see createHttpKvResolver()).
+     *
+     * The resolver returns Promises. Use the async functions \
+     * (updateConfigAsync(), resolveConfigAsync(), getValueAsync()). \
+     * Responses are cached for `options.cacheTtl` milliseconds. All values \
+     * are secrets.
+     * @example
+     *     // db/password => GET http://127.0.0.1:8200/v1/secret/data/db => data.data.password
+     *     configUpdater.registerHttpKv("vault", "http://127.0.0.1:8200/v1/secret/data", {
+     *         format: "vault",
+     *         token: process.env.VAULT_TOKEN,
+     *     })
+     *     await configUpdater.updateConfigAsync(config)
+     * @param {string} name          Name of the new repository
+     * @param {string} url           The base-URL of the keys
+     * @param {object} [options={}]  All options of createHttpKvResolver() (`format`, `token`, `tokenHeader`, `headers`, `mapPath`, `timeout`, `retries`, `retryDelay`, `cacheTtl`) and:
+     * @param {number} [options.index=9999999]  Position of the repository (see register())
+     * @param {boolean} [options.secret=true]   If `false` the values aren't secrets
+     * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If the URL is invalid or the format is unknown
+     */
+    registerHttpKv(name, url, options = {}) {
+        const { index, secret = true, ...kvOptions } = options
+        if (typeof url != "string" || !/^https?:\/\//.test(url))
+            throw new CuError(
+                `Invalid URL "${url}" of the repository "${name}"`
+            )
+        const resolver = createHttpKvResolver(kvOptions)
+        return this.register(name, url, index, resolver, { secret })
+    }
+
+    /**
+     * Read a file that was registered with registerFile() or registerEnvFile() again.
+     *
+     * The repository keeps its position. If the file can't be read or parsed \
+     * the previous content stays registered. A child that reloads an \
+     * inherited repository gets its own copy of it, like a repository registered \
+     * in the child (the parent keeps its content).
+     * @param {string} name The name of the repository
+     * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If there is no file-repository with that name or the file can't be parsed
+     */
+    reload(name) {
+        const entry = this.#allRepositories().find(
+            (entry) => entry.name == name
+        )
+        if (!entry || !entry.reload)
+            throw new CuError(`"${name}" is not a registered file-repository`)
+        const repository = entry.reload()
+        if (this.#repositories.includes(entry)) entry.repository = repository
+        // An inherited entry => the copy shadows the entry of the parent
+        else
+            this.#repositories.push({
+                ...entry,
+                repository,
+                onChange: undefined,
+            })
+        this.#refreshWatches()
         return this
     }
 
+    /**
+     * Reads and parses a file for registerFile().
+     * @param {string} fileName
+     * @param {object} options  The options of registerFile()
+     * @returns {object} The parsed content
+     */
+    static #loadFile(fileName, options) {
+        let format = options.format
+        if (!format) {
+            const base = nodePath.basename(fileName).toLowerCase()
+            format = base.startsWith(".env")
+                ? "env"
+                : nodePath.extname(base).substring(1)
+        }
+        const parser = ConfigUpdater.FILE_PARSERS[format]
+        if (!parser)
+            throw new CuError(`Unknown file-format "${format}" ("${fileName}")`)
+
+        let text
+        try {
+            text = fs.readFileSync(fileName, options.encoding || "utf8")
+        } catch (error) {
+            if (options.optional && error.code == "ENOENT") return {}
+            throw new CuError(`Can't read file "${fileName}": ${error.message}`)
+        }
+        const result = parser(text, { ...options, fileName })
+        // An empty YAML-document is null
+        return result == undefined ? {} : result
+    }
+
     /**
      * Remove a previously registered repository using it's name.
      * @param {string} name The name of the repository as it was given to the register-function
@@ -276,8 +838,20 @@ class ConfigUpdater {
      * @returns {boolean} `true` if the repository could be deleted. `false` otherwise
      */
     unregister(name) {
+        const removed = this.#remove(name)
+        if (removed) this.#refreshWatches()
+        return removed
+    }
+
+    /**
+     * Removes a repository without refreshing the watched configs.
+     * @param {string} name The name of the repository
+     * @returns {boolean} `true` if the repository could be deleted
+     */
+    #remove(name) {
         for (let i = 0; i < this.#repositories.length; i++) {
-            if (this.#repositories[i][0] == name) {
+            if (this.#repositories[i].name == name) {
+                ConfigUpdater.#stopListening(this.#repositories[i])
                 this.#repositories.splice(i, 1)
                 return true
             }
@@ -285,14 +859,232 @@ class ConfigUpdater {
         return false
     }
 
+    /**
+     * Removes the change-listener of a repository-entry (see register()).
+     * @param {object} entry  An entry of #repositories
+     */
+    static #stopListening(entry) {
+        if (!entry.onChange) return
+        const { repository } = entry
+        const off = repository.removeListener || repository.off
+        if (off) off.call(repository, "change", entry.onChange)
+    }
+
+    /**
+     * Signals that the values of a repository have changed. All watched \
+     * configs are resolved again (see watch()).
+     *
+     * Use it for repositories that can't emit `change`-events themselves.
+     * @param {string} name The name of the repository
+     * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If there is no repository with that name
+     */
+    notifyChange(name) {
+        if (!this.getRepositoryNames().includes(name))
+            throw new CuError(`"${name}" is not a registered repository`)
+        this.#refreshWatches()
+        return this
+    }
+
+    /**
+     * Resolves the macros of all watched configs again (of all related updaters, \
+     * because a child can reload an inherited repository).
+     */
+    #refreshWatches() {
+        const root = this.#withParents().pop()
+        for (const watch of root.#watches) watch.refresh()
+    }
+
+    /**
+     * Register a key to decrypt encrypted values (`enc:v1:...`).
+     *
+     * Encrypted values contain the name of the key they were encrypted with \
+     * (see encryptValue()). The key is loaded whenever a value is decrypted:
+     * - `string|Buffer`: the key itself (hex, base64 or a passphrase)
+     * - `{env: "NAME"}`: the key is read from `process.env.NAME`
+     * - `{file: "path"}`: the key is read from the file
+     * - `function(name)`: returns the key. Can return a Promise (only with updateConfigAsync())
+     *
+     * The keys derived from passphrases (scrypt) are cached until reset().
+     * @example
+     *     configUpdater.registerKey("default", { env: "CONFIG_KEY" })
+     *     configUpdater.registerKey("ops", { file: "/run/secrets/config-key" })
+     * @param {string} name  The name of the key (default of encryptValue(): `"default"`)
+     * @param {string|Buffer|object|function} source  The key or where it's loaded from
+     * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If the name or the source is invalid
+     */
+    registerKey(name, source) {
+        if (!name || typeof name !== "string" || name.includes(":"))
+            throw new CuError(`Invalid key-name "${name}"`)
+        const valid =
+            typeof source == "string" ||
+            typeof source == "function" ||
+            Buffer.isBuffer(source) ||
+            (source && (source.env || source.file))
+        if (!valid)
+            throw new CuError(
+                `Invalid source for the key "${name}" (string, Buffer, {env}, {file} or function)`
+            )
+        this.#keys.set(name, source)
+        return this
+    }
+
+    /**
+     * Remove a key of registerKey().
+     * @param {string} name  The name of the key
+     * @returns {boolean} `true` if the key could be deleted. `false` otherwise
+     */
+    unregisterKey(name) {
+        return this.#keys.delete(name)
+    }
+
+    /**
+     * Loads a key of registerKey().
+     * @param {string} name  The name of the key
+     * @returns {string|Buffer|Promise} The key-material
+     * @throws CuError  If the key isn't registered or can't be loaded
+     */
+    #loadKey(name) {
+        let source
+        for (const updater of this.#withParents()) {
+            source = updater.#keys.get(name)
+            if (source !== undefined) break
+        }
+        if (source === undefined)
+            throw new CuError(`The key "${name}" isn't registered`)
+        if (typeof source == "function") return source(name)
+        if (source.env) {
+            const key = process.env[source.env]
+            if (!key)
+                throw new CuError(
+                    `The environment-variable "${source.env}" of the key "${name}" isn't set`
+                )
+            return key
+        }
+        if (source.file) {
+            try {
+                return fs.readFileSync(source.file, "utf8").trim()
+            } catch (error) {
+                throw new CuError(
+                    `Can't read the key "${name}" from "${source.file}": ${error.message}`
+                )
+            }
+        }
+        return source
+    }
+
+    /**
+     * Converts key-material to the key of an algorithm (see toKey()).
+     *
+     * The keys of string-materials are cached by the salt, so a passphrase \
+     * is derived once per encrypted value and not at every decryption.
+     * @param {string|Buffer} material  The key-material of #loadKey()
+     * @param {string} algorithm
+     * @param {Buffer} salt             The salt of the encrypted value
+     * @returns {Buffer} The key
+     * @throws CuError  If the key-material is invalid
+     */
+    #deriveKey(material, algorithm, salt) {
+        if (typeof material != "string") return toKey(material, algorithm, salt)
+        const cacheKey = `${algorithm}:${salt.toString(
+            "base64url"
+        )}:${material}`
+        let key = this.#derivedKeys.get(cacheKey)
+        if (!key) {
+            key = toKey(material, algorithm, salt)
+            this.#derivedKeys.set(cacheKey, key)
+        }
+        return key
+    }
+
+    /**
+     * Register a custom macro-keyword.
+     *
+     * Whenever a macro with the `keyword`-property is resolved the `handler` \
+     * is called in the given phase of getCmValue():
+     * - `beforeLookup`: before the repositories are searched. If the \
+     *   handler returns a value other than `undefined` the repositories are \
+     *   skipped (e.g. a cache)
+     * - `afterLookup`: after the repositories, before the `$default`
+     * - `afterDefault`: after the `$default`, before `$type` and `$callback`
+     * - `beforeMandatory` (default): after the `$callback`, before the \
+     *   `$mandatory`-check
+     *
+     * Function prototype: `(value, macro, path, option) => result` \
+     * `option` is the value of the keyword-property. The result replaces the \
+     * value. The handler can return a Promise (only with the async functions). \
+     * Extensions of the same phase are called in the order of their registration.
+     * @example
+     *     configUpdater.registerExtension("$trim", (value) =>
+     *         typeof value == "string" ? value.trim() : value
+     *     )
+     *     config = { name: cmf("NAME").extension("$trim") }
+     * @param {string}   keyword  The name of the macro-property. Must start with `$`
+     * @param {function} handler  The function that's called
+     * @param {object}   [options={}]
+     * @param {string}   [options.phase="beforeMandatory"]  One of EXTENSION_PHASES
+     * @returns {ConfigUpdater} An instance of this
+     * @throws CuError  If the keyword is invalid or reserved, the handler isn't a function or the phase is unknown
+     */
+    registerExtension(keyword, handler, options = {}) {
+        const phase = options.phase || "beforeMandatory"
+        const reserved = [
+            CM.KEY_KEY,
+            CM.DEFAULT_KEY,
+            CM.MANDATORY_KEY,
+            CM.CALLBACK_KEY,
+            CM.TYPE_KEY,
+            CM.ENCRYPTED_KEY,
+            CM.SECRET_KEY,
+            CM.REF_KEY,
+            CM.IF_KEY,
+            CM.THEN_KEY,
+            CM.ELSE_KEY,
+            CM.SWITCH_KEY,
+            CM.CASES_KEY,
+            CM.EXPR_KEY,
+            ConfigUpdater.FALLBACK_KEY,
+            ConfigUpdater.PROFILES_KEY,
+        ]
+        if (
+            !keyword ||
+            typeof keyword !== "string" ||
+            !keyword.startsWith("$") ||
+            reserved.includes(keyword)
+        )
+            throw new CuError(
+                `Invalid or reserved extension-keyword "${keyword}"`
+            )
+        if (typeof handler !== "function")
+            throw new CuError(`The handler of "${keyword}" must be a function`)
+        if (!ConfigUpdater.EXTENSION_PHASES.includes(phase))
+            throw new CuError(
+                `Unknown phase "${phase}" (${ConfigUpdater.EXTENSION_PHASES.join(
+                    ", "
+                )})`
+            )
+        this.#extensions.set(keyword, { handler, phase })
+        return this
+    }
+
+    /**
+     * Remove an extension of registerExtension().
+     * @param {string} keyword  The keyword of the extension
+     * @returns {boolean} `true` if the extension could be deleted. `false` otherwise
+     */
+    unregisterExtension(keyword) {
+        return this.#extensions.delete(keyword)
+    }
+
     /**
      * Get the names of all registered repositories.
      * @returns {Array} Array with the namens of the registered
      */
     getRepositoryNames() {
         const result = []
-        for (let item of this.#repositories) {
-            result.push(item[0])
+        for (let item of this.#allRepositories()) {
+            result.push(item.name)
         }
         return result
     }
@@ -322,63 +1114,137 @@ class ConfigUpdater {
      * @param {CM|any}  cm_or_any  Any property-value. If the value is an object that represent a CM or has the CM-properties it's handled as a macro
      * @param {Array}   path       Represent the path to the property. Must be arn array!
      * @return {any} Either the original `cm_or_any`, the value retrieved from a repository, a default or `undefined`.
-     * @throws CuError  If the value of the $$-property inside the CM-Object is empty or no string.
+     * @throws CuError  If the value of the $$-property inside the CM-Object is empty or no string or a resolver returns a Promise (see getCmValueAsync()).
      * @see toCm
      * @see updateConfig
+     * @see getCmValueAsync
      */
     getCmValue(cm_or_any, path) {
-        // Is it an object with an "$$" element
-        if (cm_or_any && cm_or_any.hasOwnProperty(CM.KEY_KEY)) {
+        return runSync(this.#resolveMacro(cm_or_any, path), "getCmValueAsync()")
+    }
+
+    /**
+     * Async version of getCmValue().
+     *
+     * Resolver-functions and `$callback`-functions may return a Promise. The \
+     * Promise is awaited before the result is checked (e.g. whether the next \
+     * repository has to be asked).
+     * @param {CM|any}  cm_or_any  Any property-value. If the value is an object that represent a CM or has the CM-properties it's handled as a macro
+     * @param {Array}   path       Represent the path to the property. Must be arn array!
+     * @return {Promise<any>} Resolves to the same value getCmValue() would return for a synchronous resolver.
+     * @see getCmValue
+     */
+    async getCmValueAsync(cm_or_any, path) {
+        return runAsync(this.#resolveMacro(cm_or_any, path))
+    }
+
+    /**
+     * Implementation of getCmValue() and getCmValueAsync().
+     *
+     * Every value that's returned by a resolver- or callback-function is \
+     * `yield`-ed. The runner (runSync() or runAsync()) passes the final value \
+     * back into the generator. So the macro-handling exists only once for both \
+     * the synchronous and the asynchronous path.
+     * @param {CM|any}  cm_or_any  Any property-value
+     * @param {Array}   path       Represent the path to the property
+     * @param {object}  [trace]    Optional TraceEntry. The steps of the default-chain are added to `trace.chain`
+     * @param {Array}   [chain=[]] The macros whose `$default` is resolved at the moment (to detect cycles)
+     * @param {object}  [refs]     The references of the config (see #createRefs()). Only updateConfig() can resolve `$ref`-macros
+     * @returns {Generator} A generator that returns the macro-result
+     * @throws CuError  If the default-chain or the references contain a cycle
+     */
+    *#resolveMacro(cm_or_any, path, trace = undefined, chain = [], refs) {
+        // Is it an object with an "$$" (or "$ref", "$if", "$switch", "$expr") element
+        if (CM.isMacro(cm_or_any)) {
+            const kinds = CM.MACRO_KEYS.filter((name) =>
+                cm_or_any.hasOwnProperty(name)
+            )
+            if (kinds.length > 1)
+                throw new CuError(
+                    `A macro can't have a ${kinds
+                        .map((name) => `"${name}"`)
+                        .join(" and a ")} (path: ${path.join("/")})`
+                )
+            const isKey = kinds[0] == CM.KEY_KEY
+            const isRef = kinds[0] == CM.REF_KEY
             let searchKey = cm_or_any[CM.KEY_KEY]
             // Only strings can be handled as keys in a repository
-            if (!searchKey || typeof searchKey !== "string")
+            if (isKey && (!searchKey || typeof searchKey !== "string"))
                 throw new CuError(
                     `Invalid macro-key "${searchKey}" (path: ${path.join("/")})`
                 )
 
             // Use the parent-key as a prefix?
-            if (searchKey.startsWith(CM.PARENT_DEPENDENT_INDICATOR)) {
-                // Find the first element in the path that's string (and not an array-index)
-                let parent = ""
-                let p = path.length - 1
-                while (p >= 0) {
-                    if (typeof path[p] == "string") {
-                        // the first path is the key itself
-                        if (p < path.length - 1) {
-                            parent = path[p]
-                            break
-                        }
-                        p--
-                    } else {
-                        // skip array-indices
-                        while (p >= 0 && typeof path[p] == "number") {
-                            p--
-                        }
-                        p-- // skip the array-name
-                    }
-                }
-                // concat the parent-name and the rest of the search-key (after the indicator)
-                searchKey =
-                    parent +
-                    searchKey.substring(CM.PARENT_DEPENDENT_INDICATOR.length)
-            }
+            if (isKey) searchKey = ConfigUpdater.#searchKey(searchKey, path)
+
+            // for the trace
+            const step = isKey ? { key: searchKey, consulted: [] } : {}
+            if (trace) trace.chain.push(step)
+            let result = yield* this.#runExtensions(
+                "beforeLookup",
+                undefined,
+                cm_or_any,
+                path
+            )
+            // A reference reads the config instead of the repositories
+            if (isRef && result === undefined)
+                result = yield* this.#resolveRef(
+                    cm_or_any,
+                    path.slice(0, path.length - chain.length),
+                    refs,
+                    step
+                )
+            // An expression computes its value
+            else if (kinds[0] == CM.EXPR_KEY && result === undefined)
+                result = yield* this.#resolveExpression(
+                    cm_or_any,
+                    path.slice(0, path.length - chain.length),
+                    refs,
+                    step
+                )
+            // A condition takes the value of its branch
+            else if (!isKey && result === undefined)
+                result = yield* this.#resolveCondition(
+                    cm_or_any,
+                    path.slice(0, path.length - chain.length),
+                    refs,
+                    step
+                )
 
             // Iterate through all registered repositories and call their
             //  resolve-function until the function returns a value != undefined
-            let result // declare here because it's needed outside the loop
-            const searchKeySplit = searchKey.split("/") // split only once
-            for (const repository of this.#repositories) {
-                result = repository[1](
-                    repository[2],
+            //  (or skip them if a "beforeLookup"-extension returned a value)
+            const searchKeySplit = isKey ? searchKey.split("/") : [] // split only once
+            for (const entry of isKey ? this.#allRepositories() : []) {
+                if (result !== undefined) break
+                step.consulted.push(entry.name)
+                result = yield entry.resolver(
+                    entry.repository,
                     searchKeySplit,
                     cm_or_any,
                     path
                 )
+                if (result === undefined && entry.fileSuffix)
+                    result = yield* this.#lookupFile(
+                        entry,
+                        searchKeySplit,
+                        cm_or_any,
+                        path,
+                        step
+                    )
                 // value found? => we're done
                 if (result !== undefined) {
+                    step.repository = entry.name
+                    if (entry.secret) step.secret = true
                     break
                 }
             }
+            result = yield* this.#runExtensions(
+                "afterLookup",
+                result,
+                cm_or_any,
+                path
+            )
 
             // If no result and the definition has a "$default"-element
             if (
@@ -386,17 +1252,89 @@ class ConfigUpdater {
                 cm_or_any.hasOwnProperty(CM.DEFAULT_KEY)
             ) {
                 // Recursive call for the default-value
+                const _default = cm_or_any[CM.DEFAULT_KEY]
+                const defaults = [...chain, cm_or_any]
+                if (defaults.includes(_default)) {
+                    const cycle = defaults.slice(defaults.indexOf(_default))
+                    // without the "CM.DEFAULT_KEY"s of the previous defaults
+                    const property = path.slice(0, path.length - chain.length)
+                    throw new CuError(
+                        `Cycle in the default-chain of "${property.join(
+                            "/"
+                        )}": ${[...cycle, _default]
+                            .map(
+                                (macro) => CM.getKey(macro) || CM.getRef(macro)
+                            )
+                            .join(" -> ")}`
+                    )
+                }
+                if (trace && !CM.isMacro(_default))
+                    trace.chain.push({ literal: true, value: _default })
                 path.push("CM.DEFAULT_KEY")
-                result = this.getCmValue(cm_or_any[CM.DEFAULT_KEY], path)
+                result = yield* this.#resolveMacro(
+                    _default,
+                    path,
+                    trace,
+                    defaults,
+                    refs
+                )
                 path.pop()
             }
+            result = yield* this.#runExtensions(
+                "afterDefault",
+                result,
+                cm_or_any,
+                path
+            )
+
+            if (cm_or_any[CM.SECRET_KEY]) step.secret = true
+
+            // Decrypt the value (`$encrypted` or an "enc:v1:..."-value)
+            if (
+                result !== undefined &&
+                (cm_or_any[CM.ENCRYPTED_KEY] || isEncrypted(result))
+            ) {
+                result = yield* this.#decrypt(
+                    result,
+                    cm_or_any[CM.ENCRYPTED_KEY],
+                    path
+                )
+                step.decrypted = true
+            }
 
-            // If we have a callback defined - call it now. the result of the
-            //  callback becomes the result of getCmValue
-            const callback = cm_or_any[CM.CALLBACK_KEY]
-            if (callback) {
-                CM.checkCallback(callback)
-                result = callback(result, cm_or_any, path)
+            const value = result // for masking secrets in error-messages
+            try {
+                // Convert the value (also a default) before the callback sees it
+                if (cm_or_any[CM.TYPE_KEY]) {
+                    result = convertType(
+                        result,
+                        cm_or_any[CM.TYPE_KEY],
+                        path,
+                        ConfigTrace.isSecret(trace ? trace.chain : [step])
+                    )
+                }
+
+                // If we have a callback defined - call it now. the result of the
+                //  callback becomes the result of getCmValue
+                const callback = cm_or_any[CM.CALLBACK_KEY]
+                if (callback) {
+                    CM.checkCallback(callback)
+                    result = yield callback(result, cm_or_any, path)
+                    step.callback = true
+                }
+                result = yield* this.#runExtensions(
+                    "beforeMandatory",
+                    result,
+                    cm_or_any,
+                    path
+                )
+            } catch (error) {
+                if (
+                    error instanceof CuError &&
+                    ConfigTrace.isSecret(trace ? trace.chain : [step])
+                )
+                    error.message = maskSecret(error.message, value)
+                throw error
             }
 
             // Independent of how the result was retrieved, check mandatory if defined!
@@ -409,10 +1347,434 @@ class ConfigUpdater {
     }
 
     /**
-     * Replace the value of `variableName` with a defined value in the repositories.
-     *
-     * It allows to retrieve simple values from the repositories \
-     * It also allows the usage of the parent-key as a prefix of the key-name
+     * Resolves the branch of an `$if`- or `$switch`-macro. The selector and \
+     * the branch are resolved like macros of the property itself. Branches \
+     * that aren't taken are not resolved.
+     * @param {CM}     macro     The macro with the `$if` or `$switch`
+     * @param {Array}  property  The path of the property (without the default-chain)
+     * @param {object} refs      The references of the config (see #resolveMacro())
+     * @param {object} step      The TraceStep of the macro. Gets the `branch` and the source of its value
+     * @returns {Generator} A generator that returns the value of the branch
+     * @throws CuError  If `$cases` isn't an object
+     */
+    *#resolveCondition(macro, property, refs, step) {
+        let branch, value
+        if (macro.hasOwnProperty(CM.IF_KEY)) {
+            const condition = yield* this.#resolveMacro(
+                macro[CM.IF_KEY],
+                property,
+                undefined,
+                [],
+                refs
+            )
+            branch = ConfigUpdater.#isTrue(condition)
+                ? CM.THEN_KEY
+                : CM.ELSE_KEY
+            value = macro[branch]
+        } else {
+            const cases = macro[CM.CASES_KEY]
+            if (!isContainer(cases) || Array.isArray(cases))
+                throw new CuError(
+                    `"${CM.CASES_KEY}" of "${property.join(
+                        "/"
+                    )}" must be an object`
+                )
+            const selector = yield* this.#resolveMacro(
+                macro[CM.SWITCH_KEY],
+                property,
+                undefined,
+                [],
+                refs
+            )
+            if (
+                selector != undefined &&
+                cases.hasOwnProperty(String(selector))
+            ) {
+                branch = `${CM.CASES_KEY}.${selector}`
+                value = cases[String(selector)]
+            } else {
+                branch = CM.ELSE_KEY
+                value = macro[CM.ELSE_KEY]
+            }
+        }
+        // The branch has a trace of its own. The step takes over its source
+        const entry = ConfigTrace.createEntry(property)
+        const result = yield* this.#resolveMacro(
+            value,
+            property,
+            entry,
+            [],
+            refs
+        )
+        ConfigTrace.finish(entry, result)
+        step.branch = branch
+        if (entry.repository) step.repository = entry.repository
+        if (entry.ref !== undefined) step.ref = entry.ref
+        if (entry.expr !== undefined) step.expr = entry.expr
+        if (entry.file !== undefined) step.file = entry.file
+        if (entry.callback) step.callback = true
+        if (entry.secret) step.secret = true
+        step.found = result !== undefined
+        return result
+    }
+
+    /**
+     * Evaluates the expression of an `$expr`-macro (see expressions.js). \
+     * The keys of the expression are resolved like `$$`-macros of the \
+     * property. Secret values are secrets of the result and masked in \
+     * error-messages.
+     * @param {CM}     macro     The macro with the `$expr`
+     * @param {Array}  property  The path of the property (without the default-chain)
+     * @param {object} refs      The references of the config (see #resolveMacro())
+     * @param {object} step      The TraceStep of the macro. Gets the expression (`expr`)
+     * @returns {Generator} A generator that returns the value of the expression
+     * @throws CuError  If the expression has a syntax-error (with the column) or an operator or function gets an invalid value
+     */
+    *#resolveExpression(macro, property, refs, step) {
+        const text = macro[CM.EXPR_KEY]
+        const expression = parseExpression(text, property)
+        step.expr = text
+        const secrets = [] // the secret values of the keys
+        const lookup = (key) =>
+            this.#lookupExpressionKey(key, property, refs, step, secrets)
+        try {
+            const result = yield* evaluateExpression(
+                expression,
+                lookup,
+                property
+            )
+            step.found = result !== undefined
+            return result
+        } catch (error) {
+            if (error instanceof CuError)
+                for (const value of secrets)
+                    error.message = maskSecret(error.message, value)
+            throw error
+        }
+    }
+
+    /**
+     * Resolves a key of an expression for #resolveExpression().
+     * @param {string} key
+     * @param {Array}  property  The path of the property
+     * @param {object} refs      The references of the config (see #resolveMacro())
+     * @param {object} step      The TraceStep of the expression. Gets `secret` for secret values
+     * @param {Array}  secrets   Gets the secret values (for error-messages)
+     * @returns {Generator} A generator that returns the value of the key
+     */
+    *#lookupExpressionKey(key, property, refs, step, secrets) {
+        const entry = ConfigTrace.createEntry(property)
+        const value = yield* this.#resolveMacro(
+            { [CM.KEY_KEY]: key },
+            property,
+            entry,
+            [],
+            refs
+        )
+        if (ConfigTrace.finish(entry, value).secret) {
+            step.secret = true
+            secrets.push(value)
+        }
+        return value
+    }
+
+    /**
+     * Resolves the `<KEY>_FILE`-indirection of a repository with a \
+     * `fileSuffix` (see register()). The value is a secret.
+     * @param {object} entry           The entry of the repository (see #repositories)
+     * @param {string[]} searchKeySplit The segments of the search-key
+     * @param {any}    macro           The macro (for the resolver)
+     * @param {Array}  path            The path of the property
+     * @param {object} step            The TraceStep of the macro. Gets `file` and `secret`
+     * @returns {Generator} A generator that returns the content of the file or `undefined` if the key has no file
+     * @throws CuError  If the file can't be read
+     */
+    *#lookupFile(entry, searchKeySplit, macro, path, step) {
+        const fileKey = [...searchKeySplit]
+        fileKey[fileKey.length - 1] += entry.fileSuffix
+        const fileName = yield entry.resolver(
+            entry.repository,
+            fileKey,
+            macro,
+            path
+        )
+        if (fileName === undefined) return undefined
+        step.file = fileName
+        step.secret = true
+        return readSecretFile(fileName)
+    }
+
+    /**
+     * @param {any} value  The value of an `$if`
+     * @returns {boolean} `false` for `undefined`, `null`, `false`, `0`, `""` and the strings `false`, `no` and `0`
+     */
+    static #isTrue(value) {
+        if (typeof value != "string") return Boolean(value)
+        if (!value.trim()) return false
+        try {
+            return convertValue(value, "boolean")
+        } catch (error) {
+            return true // any other text
+        }
+    }
+
+    /**
+     * Replaces the parent-dependent-indicator (`?`) of a macro-key with the \
+     * name of the parent-property.
+     * @param {string} searchKey  The key of the macro
+     * @param {Array}  path       Represent the path to the property
+     * @returns {string} The key that is searched in the repositories
+     */
+    static #searchKey(searchKey, path) {
+        if (!searchKey.startsWith(CM.PARENT_DEPENDENT_INDICATOR))
+            return searchKey
+        // Find the first element in the path that's string (and not an array-index)
+        let parent = ""
+        let p = path.length - 1
+        while (p >= 0) {
+            if (typeof path[p] == "string") {
+                // the first path is the key itself
+                if (p < path.length - 1) {
+                    parent = path[p]
+                    break
+                }
+                p--
+            } else {
+                // skip array-indices
+                while (p >= 0 && typeof path[p] == "number") {
+                    p--
+                }
+                p-- // skip the array-name
+            }
+        }
+        // concat the parent-name and the rest of the search-key (after the indicator)
+        return (
+            parent + searchKey.substring(CM.PARENT_DEPENDENT_INDICATOR.length)
+        )
+    }
+
+    /**
+     * Looks up the node of a `$ref`-macro in the config (see #createRefs()).
+     * @param {CM}     macro     The macro with the `$ref`
+     * @param {Array}  property  The path of the property (without the default-chain)
+     * @param {object} refs      The references of the config
+     * @param {object} step      The TraceStep of the macro. Gets the path of the node (`ref`)
+     * @returns {Generator} A generator that returns the value of the node
+     * @throws CuError  If the reference is invalid or isn't resolved by updateConfig()
+     */
+    *#resolveRef(macro, property, refs, step) {
+        const ref = macro[CM.REF_KEY]
+        const where = property.join("/")
+        if (!ref || typeof ref != "string")
+            throw new CuError(`Invalid reference "${ref}" (path: ${where})`)
+        if (!refs)
+            throw new CuError(
+                `The reference "${ref}" of "${where}" can only be resolved in a config (updateConfig())`
+            )
+        // A relative reference starts at the object that contains the property
+        const target = ref.startsWith("/")
+            ? [...refs.rootPath]
+            : property.slice(0, -1)
+        for (const segment of ref.split("/")) {
+            if (segment == "..") {
+                if (target.length <= refs.rootPath.length)
+                    throw new CuError(
+                        `The reference "${ref}" of "${where}" leaves the config`
+                    )
+                target.pop()
+            } else if (segment && segment != ".") target.push(segment)
+        }
+        step.ref = target.join("/")
+        return yield* refs.lookup(target, step)
+    }
+
+    /**
+     * Calls the extensions of a phase whose keyword is a property of the macro.
+     * @param {string} phase  One of EXTENSION_PHASES
+     * @param {any}    value  The current value of the macro
+     * @param {CM}     macro  The macro that's resolved
+     * @param {Array}  path   Represent the path to the property
+     * @returns {Generator} A generator that returns the new value (see #resolveMacro())
+     */
+    *#runExtensions(phase, value, macro, path) {
+        for (const [keyword, extension] of this.#allExtensions()) {
+            if (extension.phase == phase && macro.hasOwnProperty(keyword))
+                value = yield extension.handler(
+                    value,
+                    macro,
+                    path,
+                    macro[keyword]
+                )
+        }
+        return value
+    }
+
+    /**
+     * Decrypts an encrypted value (see encryptValue()).
+     * @param {any} value               The encrypted value
+     * @param {boolean|string} algorithm  `$encrypted` of the macro: an expected algorithm or any other value
+     * @param {Array} path              Represent the path to the property
+     * @returns {Generator} A generator that returns the decrypted value (see #resolveMacro())
+     * @throws CuError  If the value isn't encrypted, the key is missing or wrong
+     */
+    *#decrypt(value, algorithm, path) {
+        const prefix = `Property "${path.join("/")}": `
+        if (!isEncrypted(value))
+            throw new CuError(prefix + "The value isn't encrypted")
+        try {
+            const parsed = parseEncrypted(value)
+            if (typeof algorithm == "string" && algorithm != parsed.algorithm)
+                throw new CuError(
+                    `Expected ${algorithm} but the value uses ${parsed.algorithm}`
+                )
+            const key = yield this.#loadKey(parsed.keyName)
+            return decryptValue(
+                parsed,
+                this.#deriveKey(key, parsed.algorithm, parsed.salt)
+            )
+        } catch (error) {
+            throw new CuError(prefix + error.message)
+        }
+    }
+
+    /**
+     * Resolves the `${...}`-placeholders of a template-string.
+     *
+     * Every placeholder is resolved like a macro with the same key. So \
+     * nested keys (`${db/host}`) and parent-dependent keys (`${?_URL}`) work \
+     * as well. Supported placeholders:
+     * - `${key}`: The value or an empty string
+     * - `${key:-default}`: `default` if the value is undefined or empty. \
+     *   The default can contain placeholders itself.
+     * - `${key:?message}`: Throws a CuError with the message if the value is \
+     *   undefined or empty
+     * - `$${`: A literal `${`
+     *
+     * If the template consists of a single placeholder the value isn't \
+     * converted to a string (e.g. `"${PORT}"` can result in a number).
+     * @param {string} template  The string with placeholders
+     * @param {Array}  path      Represent the path to the property
+     * @param {object} trace     Optional TraceEntry (see #resolveMacro())
+     * @returns {Generator} A generator that returns the result (see #resolveMacro())
+     * @throws CuError  If a placeholder isn't terminated or a `:?`-placeholder has no value
+     */
+    *#resolveTemplate(template, path, trace = undefined) {
+        const parts = ConfigUpdater.#splitTemplate(template, path)
+        const values = []
+        for (const part of parts) {
+            if (typeof part == "string") {
+                values.push(part)
+                continue
+            }
+            let value = yield* this.#resolveMacro(
+                { [CM.KEY_KEY]: part.key },
+                path,
+                trace
+            )
+            if (value === undefined || value === "") {
+                if (part.modifier == ":-") {
+                    if (trace)
+                        trace.chain.push({
+                            literal: true,
+                            value: part.argument,
+                        })
+                    value = yield* this.#resolveTemplate(
+                        part.argument,
+                        path,
+                        trace
+                    )
+                } else if (part.modifier == ":?") {
+                    throw new CuError(
+                        `Property "${path.join("/")}": ${
+                            part.argument || `"${part.key}" is not set`
+                        }`
+                    )
+                }
+            }
+            values.push(value)
+        }
+        // "${PORT}" keeps the type of the value
+        if (values.length == 1 && typeof parts[0] != "string") return values[0]
+        return values.map((value) => (value == undefined ? "" : value)).join("")
+    }
+
+    /**
+     * Splits a template into strings and placeholders (`{key, modifier, argument}`).
+     * @param {string} template
+     * @param {Array}  path  Represent the path to the property (for error-messages)
+     * @returns {Array<string|{key: string, modifier: string, argument: string}>}
+     */
+    static #splitTemplate(template, path) {
+        const parts = []
+        let text = ""
+        let pos = 0
+        while (pos < template.length) {
+            if (template.startsWith("$${", pos)) {
+                // escaped => literal "${"
+                text += "${"
+                pos += 3
+            } else if (template.startsWith("${", pos)) {
+                // find the closing brace. Defaults can contain placeholders
+                let depth = 1
+                let end = pos + 2
+                for (; end < template.length && depth; end++) {
+                    if (template.startsWith("${", end)) depth++
+                    else if (template[end] == "}") depth--
+                }
+                if (depth)
+                    throw new CuError(
+                        `Unterminated "\${" in "${template}" (path: ${path.join(
+                            "/"
+                        )})`
+                    )
+                const inner = template.substring(pos + 2, end - 1)
+                const match = /^([^:]*)(?:(:[-?])([^]*))?$/.exec(inner)
+                if (!match || !match[1].trim())
+                    throw new CuError(
+                        `Invalid placeholder "\${${inner}}" (path: ${path.join(
+                            "/"
+                        )})`
+                    )
+                if (text) parts.push(text)
+                text = ""
+                parts.push({
+                    key: match[1].trim(),
+                    modifier: match[2],
+                    argument: match[3] || "",
+                })
+                pos = end
+            } else {
+                text += template[pos++]
+            }
+        }
+        if (text) parts.push(text)
+        return parts
+    }
+
+    /**
+     * Resolves a config-value. Encrypted strings are decrypted, other strings \
+     * are templates, everything else can be a macro.
+     * @param {any}    value
+     * @param {Array}  path   Represent the path to the property
+     * @param {object} trace  Optional TraceEntry (see #resolveMacro())
+     * @param {object} refs   The references of the config (see #resolveMacro())
+     * @returns {Generator} A generator that returns the result (see #resolveMacro())
+     */
+    #resolveNode(value, path, trace = undefined, refs = undefined) {
+        if (isEncrypted(value)) {
+            if (trace) trace.chain.push({ literal: true, decrypted: true })
+            return this.#decrypt(value, true, path)
+        }
+        return typeof value == "string"
+            ? this.#resolveTemplate(value, path, trace)
+            : this.#resolveMacro(value, path, trace, [], refs)
+    }
+
+    /**
+     * Replace the value of `variableName` with a defined value in the repositories.
+     *
+     * It allows to retrieve simple values from the repositories \
+     * It also allows the usage of the parent-key as a prefix of the key-name
      * @param {string} propertyKey               Name of the key that will be searched
      * @param {CM|any} defaultValue=undefined    Optional default-value
      * @param {Array|string} parentKeyOrPath=[]  Optional names of a parent-object (for error-messages)
@@ -420,12 +1782,76 @@ class ConfigUpdater {
      * @access public
      */
     getValue(propertyKey, defaultValue = undefined, parentKeyOrPath = []) {
-        return this.getCmValue(
+        return runSync(
+            this.#resolveMacro(
+                new CM(propertyKey, defaultValue),
+                Array.isArray(parentKeyOrPath)
+                    ? parentKeyOrPath
+                    : [parentKeyOrPath]
+            ),
+            "getValueAsync()"
+        )
+    }
+
+    /**
+     * Async version of getValue(). Awaits resolvers and callbacks that return a Promise.
+     * @param {string} propertyKey               Name of the key that will be searched
+     * @param {CM|any} defaultValue=undefined    Optional default-value
+     * @param {Array|string} parentKeyOrPath=[]  Optional names of a parent-object (for error-messages)
+     * @returns {Promise<any>}  Resolves to either the substituted value or undefined
+     * @access public
+     */
+    async getValueAsync(
+        propertyKey,
+        defaultValue = undefined,
+        parentKeyOrPath = []
+    ) {
+        return this.getCmValueAsync(
             new CM(propertyKey, defaultValue),
             Array.isArray(parentKeyOrPath) ? parentKeyOrPath : [parentKeyOrPath]
         )
     }
 
+    /**
+     * Resolve the `${...}`-placeholders of a string with the repositories.
+     * @example
+     *     configUpdater.interpolate("postgres://${DB_USER}@${DB_HOST}:${DB_PORT:-5432}/app")
+     * @param {string} template  A string with placeholders (`${key}`, `${key:-default}`, `${key:?message}`, `$${` for a literal `${`)
+     * @param {Array|string} parentKeyOrPath=[]  Optional path of the property (for `?`-keys and error-messages)
+     * @returns {any}  The resolved string (or the value if the template is a single placeholder)
+     * @throws CuError  If a placeholder is invalid or a `:?`-placeholder has no value
+     * @access public
+     */
+    interpolate(template, parentKeyOrPath = []) {
+        return runSync(
+            this.#resolveTemplate(
+                template,
+                Array.isArray(parentKeyOrPath)
+                    ? parentKeyOrPath
+                    : [parentKeyOrPath]
+            ),
+            "interpolateAsync()"
+        )
+    }
+
+    /**
+     * Async version of interpolate(). Awaits resolvers and callbacks that return a Promise.
+     * @param {string} template  A string with placeholders
+     * @param {Array|string} parentKeyOrPath=[]  Optional path of the property
+     * @returns {Promise<any>}  Resolves to the resolved string
+     * @access public
+     */
+    async interpolateAsync(template, parentKeyOrPath = []) {
+        return runAsync(
+            this.#resolveTemplate(
+                template,
+                Array.isArray(parentKeyOrPath)
+                    ? parentKeyOrPath
+                    : [parentKeyOrPath]
+            )
+        )
+    }
+
     /**
      * Replace all macros with values from the `configUpdater`.
      *
@@ -436,17 +1862,798 @@ class ConfigUpdater {
      * fallback are copied to every sibling-object as far as they don't exist already.
 
      * So the values of `config` get changed!
+     * An object that appears several times is resolved once (at its first \
+     * position). A config that contains itself throws a CuError.
+     *
+     * Instead of `exclude` an options-object can be passed as the 2nd parameter:
+     * - `exclude`, `initialParentKey`: like the parameters. `exclude` can \
+     *   contain path-patterns (see below)
+     * - `include`: Path-patterns of the branches that are resolved. All \
+     *   other branches stay unchanged (no mandatory-errors) and can be \
+     *   resolved by a later call
+     * - `collectErrors`: If `true` the traversal doesn't stop at the first \
+     *   failing macro (mandatory, invalid key, type). All failures are \
+     *   collected and thrown as one CuAggregateError at the end. The failed \
+     *   macros stay unchanged.
+     * - `interpolate`: If `true` string-values are templates. Their \
+     *   `${key}`-placeholders are resolved (see interpolate()).
+     * - `trace`: A ConfigTrace that records where every value came from \
+     *   (see explain()).
+     * - `profile`: The active profile. A string or a macro (`cmf("NODE_ENV")`).
+     *
+     * Macros with a `$ref` (see CM) are resolved after all other macros, in \
+     * the order of their dependencies. References that depend on themselves \
+     * throw a CuError with the paths.
+     *
+     * A `$profiles`-property holds variants of its object by profile-name. \
+     * The variant of the active profile is deep-merged over the object \
+     * (objects are merged, all other values replace the value of the \
+     * object). A variant can inherit from another one with \
+     * `$extends: "<profile>"`. The `$profiles`-property is removed, also \
+     * if no profile is active.
+     *
+     * Path-patterns use `/` as separator and match the path of a property \
+     * (including `initialParentKey`). `*` matches one segment (or a part of \
+     * it: `db_*`), `**` any number of segments. Array-indices are segments \
+     * as well. A pattern without `/` matches a property-name at any depth, \
+     * a leading `/` anchors it at the root.
+     * @example
+     *     configUpdater.updateConfig(config, { collectErrors: true })
+     *     configUpdater.updateConfig(config, {
+     *         include: ["/db", "services/api/**"],
+     *         exclude: ["legacy"],
+     *     })
+     *     configUpdater.updateConfig(
+     *         {
+     *             db: { host: "localhost", pool: 5 },
+     *             $profiles: {
+     *                 production: { db: { host: "db.prod", pool: 50 } },
+     *                 staging: { $extends: "production", db: { host: "db.staging" } },
+     *             },
+     *         },
+     *         { profile: cmf("NODE_ENV") }
+     *     ) // NODE_ENV=staging => { db: { host: "db.staging", pool: 50 } }
      * @param {object|array} root                 Any Object whose properties should be updated with values of the configUpdater
-     * @param {Array}        exclude=[]           Optional array of property-names that should not be handled (at any level)
+     * @param {Array|object} exclude=[]           Optional array of property-names (at any level) or path-patterns that should not be handled or an options-object
      * @param {string}       initialParentKey=""  Optional name of the parent property. Used to add the branch-name for $$: "?..." replacements. This is *only* necessary if the function is called with a partial branch.
      * @returns {Object|Array} Returns the given `config`-parameter-object
+     * @throws CuAggregateError  With all failures if `collectErrors` is set
+     * @throws CuError  If the config, a default-chain, the references or the profiles contain a cycle, the profile is invalid or a resolver returns a Promise (see updateConfigAsync())
      */
     updateConfig(root, exclude = [], initialParentKey = "") {
-        const $this = this // needed to access the <this> inside of traverseConfig()
-        const path = []
+        return this.#update(
+            root,
+            ConfigUpdater.#updateOptions(exclude, initialParentKey),
+            "updateConfigAsync()"
+        )
+    }
+
+    /**
+     * Implementation of updateConfig() and resolveConfig().
+     * @param {object|array} root     The config-tree
+     * @param {object}       options  The normalized options (see #updateOptions())
+     * @param {string}       [method] The async version of the called function (see runSync())
+     * @returns {Object|Array} Returns `root`
+     */
+    #update(root, options, method) {
+        const errors = []
+        options = {
+            ...options,
+            profile: runSync(this.#resolveProfile(options.profile), method),
+        }
+        const refs = this.#createRefs(root, options, errors)
+        this.#traverseConfig(root, options, (value, path, done) => {
+            if (ConfigUpdater.#hasRef(value))
+                return refs.defer(value, path, done)
+            const entry = ConfigUpdater.#beginTrace(value, path, options)
+            let result
+            try {
+                result = runSync(this.#resolveNode(value, path, entry), method)
+            } catch (error) {
+                return ConfigUpdater.#collectError(
+                    error,
+                    value,
+                    path,
+                    errors,
+                    options,
+                    entry
+                )
+            }
+            done(result, ConfigTrace.finish(entry, result).secret)
+        })
+        // `$ref`-macros are resolved when all other macros are done
+        for (let item; (item = refs.next()); ) runSync(refs.run(item), method)
+        if (errors.length) throw new CuAggregateError(errors, root)
+        // possible chaining
+        return root
+    }
+
+    /**
+     * Async version of updateConfig().
+     *
+     * Resolvers and callbacks may return a Promise. All macros of the config \
+     * are resolved concurrently. Results of a macro that contain macros \
+     * themselves are resolved as soon as the result is available. \
+     * The Promise is settled when all macros are done (also after a \
+     * failure), so nothing changes the config afterwards.
+     * @param {object|array} root                 Any Object whose properties should be updated with values of the configUpdater
+     * @param {Array|object} exclude=[]           Optional array of property-names (at any level) or path-patterns that should not be handled or an options-object (see updateConfig())
+     * @param {string}       initialParentKey=""  Optional name of the parent property. Used to add the branch-name for $$: "?..." replacements.
+     * @returns {Promise<Object|Array>} Resolves to the given `config`-parameter-object
+     * @throws CuAggregateError  With all failures if `collectErrors` is set or several macros failed. A single failing macro rejects with its CuError, other errors (e.g. of callbacks) with the first one
+     * @see updateConfig
+     */
+    async updateConfigAsync(root, exclude = [], initialParentKey = "") {
+        return this.#updateAsync(
+            root,
+            ConfigUpdater.#updateOptions(exclude, initialParentKey)
+        )
+    }
+
+    /**
+     * Implementation of updateConfigAsync() and resolveConfigAsync().
+     * @param {object|array} root     The config-tree
+     * @param {object}       options  The normalized options (see #updateOptions())
+     * @returns {Promise<Object|Array>} Resolves to `root`
+     */
+    async #updateAsync(root, options) {
+        const errors = []
+        options = {
+            ...options,
+            profile: await runAsync(this.#resolveProfile(options.profile)),
+        }
+        // Errors that aren't collected. Thrown when all macros are done
+        const failures = []
+        const fail = (error, value, path) =>
+            failures.push({
+                path: path.join("/"),
+                key: CM.getKey(value),
+                message: error.message,
+                error,
+            })
+        const pending = []
+        const refs = this.#createRefs(root, options, errors)
+        this.#traverseConfig(root, options, (value, path, done) => {
+            if (ConfigUpdater.#hasRef(value))
+                return refs.defer(value, path, done)
+            const entry = ConfigUpdater.#beginTrace(value, path, options)
+            pending.push(
+                runAsync(this.#resolveNode(value, path, entry))
+                    .then(
+                        (result) =>
+                            done(
+                                result,
+                                ConfigTrace.finish(entry, result).secret
+                            ),
+                        (error) =>
+                            ConfigUpdater.#collectError(
+                                error,
+                                value,
+                                path,
+                                errors,
+                                options,
+                                entry
+                            )
+                    )
+                    .catch((error) => fail(error, value, path))
+            )
+        })
+        // Resolved sub-trees add their own macros to `pending` => loop until it's empty.
+        //  `$ref`-macros are resolved when all other macros are done
+        for (;;) {
+            while (pending.length) await Promise.all(pending.splice(0))
+            const item = !failures.length && refs.next()
+            if (!item) break
+            await runAsync(refs.run(item)).catch((error) =>
+                fail(error, item.value, item.path)
+            )
+        }
+        const other = failures.find(({ error }) => !(error instanceof CuError))
+        if (other) throw other.error
+        if (failures.length == 1 && !errors.length) throw failures[0].error
+        if (errors.length || failures.length)
+            throw new CuAggregateError([...errors, ...failures], root)
+        return root
+    }
+
+    /**
+     * Creates the references of one updateConfig()-call.
+     *
+     * Macros with a `$ref` (also in their default-chain) are deferred until \
+     * all other macros are resolved. A reference resolves the deferred \
+     * macros of its node (and of the parents and children of the node) \
+     * first. So the macros are resolved in the order of their dependencies. \
+     * A node that depends on itself throws a CuError with the paths.
+     * @param {object|array} root  The config-tree
+     * @param {object} options     The options of #update() (`refRoot`: the config of a watch())
+     * @param {Array} errors       The collected errors (see #collectError())
+     * @returns {object} The references: `defer(value, path, done)`, `next()`, `run(item)` and `lookup(target, step)`
+     */
+    #createRefs(root, options, errors) {
+        const { root: config, path: rootPath } = options.refRoot || {
+            root,
+            path: ConfigUpdater.#rootPath(options),
+        }
+        const secrets = this.#secrets
+        const resolve = (value, path, trace, refs) =>
+            this.#resolveNode(value, path, trace, refs)
+        // path-string => {value, path, done} of the deferred macros
+        const pending = new Map()
+        // path-strings of the deferred macros that are resolved at the moment
+        const resolving = []
+        const refs = {
+            rootPath,
+            defer(value, path, done) {
+                pending.set(path.join("/"), { value, path, done })
+            },
+            next() {
+                return pending.values().next().value
+            },
+            *run(item) {
+                const key = item.path.join("/")
+                const { value, path } = item
+                pending.delete(key)
+                resolving.push(key)
+                const entry = ConfigUpdater.#beginTrace(value, path, options)
+                let result
+                try {
+                    result = yield* resolve(value, path, entry, refs)
+                } catch (error) {
+                    return ConfigUpdater.#collectError(
+                        error,
+                        value,
+                        path,
+                        errors,
+                        options,
+                        entry
+                    )
+                } finally {
+                    resolving.pop()
+                }
+                item.done(result, ConfigTrace.finish(entry, result).secret)
+            },
+            *lookup(target, step) {
+                const key = target.join("/")
+                // The node, its parents and its children
+                const related = (other) =>
+                    !key ||
+                    other == key ||
+                    other.startsWith(key + "/") ||
+                    key.startsWith(other + "/")
+                const cycle = resolving.findIndex(related)
+                if (cycle >= 0)
+                    throw new CuError(
+                        `Circular reference: ${[...resolving.slice(cycle), key]
+                            .map((path) => `"${path || "/"}"`)
+                            .join(" -> ")}`
+                    )
+                for (let item; (item = [...pending.keys()].find(related)); )
+                    yield* refs.run(pending.get(item))
+
+                let parent
+                let node = config
+                let name
+                for (const segment of target.slice(rootPath.length)) {
+                    if (!node || typeof node != "object") return undefined
+                    parent = node
+                    name = Array.isArray(node) ? Number(segment) : segment
+                    node = node[name]
+                }
+                // Not resolved (excluded or failed)
+                if (CM.isMacro(node)) return undefined
+                if (parent && secrets.has(parent, name)) step.secret = true
+                if (node !== undefined) step.found = true
+                return node
+            },
+        }
+        return refs
+    }
+
+    /**
+     * Checks whether a macro, its default-chain or the selector and the \
+     * branches of a condition have a `$ref`.
+     * @param {any} value
+     * @param {Set} macros  The macros that are checked (a cycle is reported by #resolveMacro())
+     * @returns {boolean}
+     */
+    static #hasRef(value, macros = new Set()) {
+        if (!CM.isMacro(value) || macros.has(value)) return false
+        if (value.hasOwnProperty(CM.REF_KEY)) return true
+        macros.add(value)
+        const cases = value[CM.CASES_KEY]
+        return [
+            value[CM.DEFAULT_KEY],
+            value[CM.IF_KEY],
+            value[CM.THEN_KEY],
+            value[CM.SWITCH_KEY],
+            value[CM.ELSE_KEY],
+            ...(isContainer(cases) ? Object.values(cases) : []),
+        ].some((macro) => ConfigUpdater.#hasRef(macro, macros))
+    }
 
+    /**
+     * @param {object} options  The options of #update()
+     * @returns {Array} The path of the root of the config (`rootPath` or `initialParentKey`)
+     */
+    static #rootPath(options) {
+        const { initialParentKey } = options
+        return options.rootPath || (initialParentKey ? [initialParentKey] : [])
+    }
+
+    /**
+     * Resolves the option `profile` of updateConfig().
+     * @param {CM|string} profile  The profile-name or a macro
+     * @returns {Generator} A generator that returns the profile-name or `undefined` (see #resolveMacro())
+     * @throws CuError  If the profile isn't a string
+     */
+    *#resolveProfile(profile) {
+        const name = yield* this.#resolveMacro(profile, [])
+        if (name === undefined || name === "") return undefined // no profile
+        if (typeof name != "string")
+            throw new CuError(`Invalid profile "${name}" (a name is expected)`)
+        return name
+    }
+
+    /**
+     * Resolves a config-template without changing it.
+     *
+     * In contrast to updateConfig() the result is a copy of the `template`:
+     * - Every sibling gets its own copy of the `$defaults`-entries
+     * - `$defaults`-nodes are removed from the result
+     * - Objects of repositories (or defaults) are copied before their \
+     *   macros are resolved
+     *
+     * So the same template can be resolved repeatedly (e.g. per tenant). \
+     * Class-instances (`URL`, `Buffer`, ...) and functions aren't copied.
+     * @example
+     *     const config = configUpdater.resolveConfig(template, { freeze: true })
+     * @param {object|array} template  The config with macros
+     * @param {object} [options={}]    All options of updateConfig() and:
+     * @param {boolean} [options.freeze=false]  If `true` the result is deep-frozen (see Object.freeze())
+     * @returns {Object|Array} The resolved copy
+     * @throws CuAggregateError  With all failures if `collectErrors` is set. `config` is the partially resolved copy
+     */
+    resolveConfig(template, options = {}) {
+        const config = this.#update(
+            ConfigUpdater.#cloneConfig(template),
+            ConfigUpdater.#resolveOptions(options),
+            "resolveConfigAsync()"
+        )
+        return options.freeze ? deepFreeze(config) : config
+    }
+
+    /**
+     * Async version of resolveConfig(). Awaits resolvers and callbacks that return a Promise.
+     * @param {object|array} template  The config with macros
+     * @param {object} options={}      All options of resolveConfig()
+     * @returns {Promise<Object|Array>} Resolves to the resolved copy
+     * @throws CuAggregateError  With all failures if `collectErrors` is set
+     * @see resolveConfig
+     */
+    async resolveConfigAsync(template, options = {}) {
+        const config = await this.#updateAsync(
+            ConfigUpdater.#cloneConfig(template),
+            ConfigUpdater.#resolveOptions(options)
+        )
+        return options.freeze ? deepFreeze(config) : config
+    }
+
+    /**
+     * Copies a config-tree with all macros (CM-instances keep their class).
+     * @param {any} config
+     * @returns {any} The copy
+     */
+    static #cloneConfig(config) {
+        return deepClone(
+            config,
+            (value) => isContainer(value) || CM.isMacro(value)
+        )
+    }
+
+    /**
+     * Builds the options of #update() for resolveConfig().
+     * @param {object} options  The options of resolveConfig()
+     * @returns {object} The options with `clone` set
+     */
+    static #resolveOptions(options) {
+        return { ...ConfigUpdater.#updateOptions(options, ""), clone: true }
+    }
+
+    /**
+     * Updates the config like updateConfig() and keeps it up to date.
+     *
+     * The ConfigUpdater remembers every macro of the config. Whenever a \
+     * repository is registered, unregistered, reloaded or signals a change \
+     * (a `change`-event of the repository or notifyChange()) the macros are \
+     * resolved again. Changed values are written into the config and \
+     * emitted as events of the returned ConfigWatch. Only synchronous \
+     * resolvers and callbacks are supported. Objects of repositories are \
+     * copied into the config, so a changed repository-object is seen by the \
+     * next refresh.
+     * @example
+     *     const watch = configUpdater.watch(config)
+     *     watch.on("change", ({ path, oldValue, newValue }) => log(path))
+     *     watch.on("db/password", ({ newValue }) => pool.reconnect(newValue))
+     *     configUpdater.reload("secrets") // => events
+     *     watch.close()
+     * @param {object|array} config  The config with macros (it's changed like by updateConfig())
+     * @param {object} options={}    The options of updateConfig() (without `collectErrors`)
+     * @returns {ConfigWatch} The watch with the events `change`, `<path>` and `error`
+     * @throws CuError  Like updateConfig()
+     */
+    watch(config, options = {}) {
+        options = ConfigUpdater.#updateOptions(options, "")
+        // Changes of repository-objects are only seen by refresh() if the
+        //  config has copies (and not the objects themselves)
+        options.copyResults = true
+        // `$ref`s of re-resolved macros read the watched config
+        options.refRoot = {
+            root: config,
+            path: ConfigUpdater.#rootPath(options),
+        }
+        const watch = new ConfigWatch(config, {
+            resolve: (entry, record) =>
+                this.#resolveWatched(entry, options, record),
+            assign: (entry, value, secret) => {
+                entry.parent[entry.key] = value
+                if (secret) this.#secrets.add(entry.parent, entry.key)
+                else this.#secrets.delete(entry.parent, entry.key)
+            },
+            close: () => {
+                for (const updater of this.#withParents())
+                    updater.#watches.delete(watch)
+            },
+        })
+        this.#update(config, {
+            ...options,
+            record: (entry) => watch.record(entry),
+        })
+        // The parents refresh (and reset() closes) the watches of their children
+        for (const updater of this.#withParents()) updater.#watches.add(watch)
+        return watch
+    }
+
+    /**
+     * Resolves a macro of a watched config again (see ConfigWatch.refresh()).
+     *
+     * The macro is resolved in a copy of its parent-object. So the config \
+     * stays unchanged until the ConfigWatch assigns the value.
+     * @param {object} entry     The WatchEntry of the macro
+     * @param {object} options   The options of watch()
+     * @param {function} record  Receives the WatchEntries of the result
+     * @returns {{value: any, secret: boolean}} The new value
+     */
+    #resolveWatched(entry, options, record) {
+        const { parent, key } = entry
+        const holder = Array.isArray(parent) ? [] : {}
+        if (!Array.isArray(parent))
+            holder[ConfigUpdater.FALLBACK_KEY] =
+                parent[ConfigUpdater.FALLBACK_KEY]
+        holder[key] = entry.value
+        this.#update(holder, {
+            ...options,
+            rootPath: entry.path.slice(0, -1),
+            record: (recorded) =>
+                record(
+                    recorded.parent === holder
+                        ? { ...recorded, parent }
+                        : recorded
+                ),
+        })
+        return { value: holder[key], secret: this.#secrets.has(holder, key) }
+    }
+
+    /**
+     * Updates the config like updateConfig() and returns where every value came from.
+     * @example
+     *     const trace = configUpdater.explain(config)
+     *     trace.describe("db/host") // => {key: "DB_HOST", repository: "env", defaultUsed: false, ...}
+     *     console.log(trace.toString())
+     * @param {object|array} root     Any Object whose properties should be updated
+     * @param {object}       options  The options of updateConfig()
+     * @returns {ConfigTrace} The trace of all resolved config-paths
+     */
+    explain(root, options = {}) {
+        const trace = new ConfigTrace()
+        this.updateConfig(root, { ...options, trace })
+        return trace
+    }
+
+    /**
+     * Resolves a value like getValue() and returns where it came from.
+     * @param {string} propertyKey               Name of the key that will be searched
+     * @param {CM|any} defaultValue=undefined    Optional default-value
+     * @param {Array|string} parentKeyOrPath=[]  Optional names of a parent-object
+     * @returns {object} The TraceEntry (see ConfigTrace) with the `value` (masked for secrets)
+     */
+    explainValue(propertyKey, defaultValue = undefined, parentKeyOrPath = []) {
+        const path = Array.isArray(parentKeyOrPath)
+            ? parentKeyOrPath
+            : [parentKeyOrPath]
+        const entry = ConfigTrace.createEntry(path)
+        const value = runSync(
+            this.#resolveMacro(new CM(propertyKey, defaultValue), path, entry)
+        )
+        return ConfigTrace.finish(entry, value)
+    }
+
+    /**
+     * Lists the keys that a config needs without resolving it.
+     *
+     * The template is traversed like by updateConfig() (`$defaults`, \
+     * `$profiles`, `?`-keys, `include`/`exclude`) but no repository is \
+     * consulted and the template isn't changed. Every key of a macro (and \
+     * of the macros of its default-chain, of all branches of its \
+     * conditions and of its expression) is returned once with all paths \
+     * that use it. With `interpolate` the `${key}`-placeholders of strings \
+     * are keys as well. Macros that are the result of other macros can't \
+     * be found.
+     * @example
+     *     const keys = configUpdater.analyze(config)
+     *     fs.writeFileSync(".env.example", formatEnvExample(keys))
+     * @param {object|array} template  The config with macros
+     * @param {object} [options={}]    The options of updateConfig() (`include`, `exclude`, `initialParentKey`, `interpolate`) and:
+     * @param {string} [options.profile] The name of the active profile (a macro isn't resolved)
+     * @returns {object[]} The keys in the order of their first use (KeyInfo, see inventory.js)
+     * @throws CuError  If a macro-key or a placeholder is invalid or the config or its profiles contain a cycle
+     */
+    analyze(template, options = {}) {
+        const keys = new Map()
+        const add = (key, path, info) => {
+            const where = path.join("/")
+            const entry = keys.get(key)
+            if (!entry) return keys.set(key, { key, paths: [where], ...info })
+            if (!entry.paths.includes(where)) entry.paths.push(where)
+            entry.mandatory = entry.mandatory || info.mandatory
+            entry.secret = entry.secret || info.secret
+            if (entry.type === undefined) entry.type = info.type
+            if (!entry.defaults.length) entry.defaults = info.defaults
+        }
+        this.#traverseConfig(
+            ConfigUpdater.#cloneConfig(template),
+            ConfigUpdater.#resolveOptions(options),
+            (value, path, done) => {
+                if (typeof value == "string" && !isEncrypted(value)) {
+                    ConfigUpdater.#analyzeTemplate(value, path, add)
+                } else if (CM.isMacro(value)) {
+                    ConfigUpdater.#analyzeMacro(value, path, add, done)
+                } else return done(value)
+                // Macros aren't resolved => their sub-trees are unknown
+                done(undefined)
+            }
+        )
+        return [...keys.values()]
+    }
+
+    /**
+     * Adds the keys of the placeholders of a template for analyze().
+     * @param {string} template
+     * @param {Array} path    The path of the property
+     * @param {function} add  `(key, path, info)` adds a key
+     * @throws CuError  If a placeholder is invalid
+     */
+    static #analyzeTemplate(template, path, add) {
+        for (const part of ConfigUpdater.#splitTemplate(template, path)) {
+            if (typeof part == "string") continue
+            add(part.key, path, {
+                mandatory: part.modifier == ":?",
+                secret: false,
+                type: undefined,
+                defaults:
+                    part.modifier == ":-" ? [{ value: part.argument }] : [],
+            })
+        }
+    }
+
+    /**
+     * Adds the key of a macro and the keys of its default-chain for analyze(). \
+     * The selector and all branches of a condition are analyzed as well.
+     * @param {CM} macro
+     * @param {Array} path       The path of the property (with `CM.DEFAULT_KEY`s for defaults, see #resolveMacro())
+     * @param {function} add     `(key, path, info)` adds a key
+     * @param {function} branch  `(object)` traverses an object-branch of a condition
+     * @param {Array} chain=[]   The previous macros of the default-chain (cycles)
+     * @returns {Array} The macro and its default-chain: `{key}`, `{ref}`, `{condition}`, `{expr}` or `{value}` (a literal)
+     * @throws CuError  If a macro-key or an expression is invalid
+     */
+    static #analyzeMacro(macro, path, add, branch, chain = []) {
+        const property = path.slice(0, path.length - chain.length)
+        const kind = CM.MACRO_KEYS.find((name) => macro.hasOwnProperty(name))
+        const key = CM.getKey(macro)
+        if (kind == CM.KEY_KEY && (!key || typeof key !== "string"))
+            throw new CuError(
+                `Invalid macro-key "${key}" (path: ${property.join("/")})`
+            )
+        const step =
+            kind == CM.KEY_KEY
+                ? { key: ConfigUpdater.#searchKey(key, path) }
+                : kind == CM.REF_KEY
+                ? { ref: CM.getRef(macro) }
+                : kind == CM.EXPR_KEY
+                ? { expr: macro[CM.EXPR_KEY] }
+                : { condition: kind }
+        // `defaults` is filled below. The key is added first (order of use)
+        const defaults = []
+        if (step.key !== undefined) {
+            const type = CM.getType(macro)
+            add(step.key, property, {
+                mandatory: Boolean(CM.getMandatory(macro)),
+                secret: Boolean(CM.getSecret(macro)),
+                type: type && typeof type == "object" ? type.name : type,
+                defaults,
+            })
+        }
+        if (step.expr !== undefined) {
+            const expression = parseExpression(step.expr, property)
+            for (const key of expressionKeys(expression))
+                add(key, property, {
+                    mandatory: false,
+                    secret: false,
+                    type: undefined,
+                    defaults: [],
+                })
+        }
+        if (step.condition) {
+            // Every branch can be taken
+            const cases = macro[CM.CASES_KEY]
+            for (const value of [
+                macro[step.condition],
+                macro[CM.THEN_KEY],
+                ...(isContainer(cases) ? Object.values(cases) : []),
+                macro[CM.ELSE_KEY],
+            ]) {
+                if (CM.isMacro(value) && value !== macro)
+                    ConfigUpdater.#analyzeMacro(value, property, add, branch)
+                else if (isContainer(value) && value !== macro[step.condition])
+                    branch(value)
+            }
+        }
+        if (macro.hasOwnProperty(CM.DEFAULT_KEY)) {
+            const _default = macro[CM.DEFAULT_KEY]
+            const macros = [...chain, macro]
+            if (!CM.isMacro(_default)) defaults.push({ value: _default })
+            // a cycle ends the chain (updateConfig() throws if it's reached)
+            else if (!macros.includes(_default))
+                defaults.push(
+                    ...ConfigUpdater.#analyzeMacro(
+                        _default,
+                        [...path, "CM.DEFAULT_KEY"],
+                        add,
+                        branch,
+                        macros
+                    )
+                )
+        }
+        return [step, ...defaults]
+    }
+
+    /**
+     * Returns a copy of an updated config with all secret values replaced by `"******"`.
+     *
+     * Secrets are the results of macros with `$secret`, values of secret \
+     * repositories (see register()) and decrypted values. updateConfig() \
+     * remembers them per object. So a sub-tree of the config can be \
+     * redacted as well. The config itself isn't changed.
+     * @example
+     *     configUpdater.updateConfig(config)
+     *     console.log(JSON.stringify(configUpdater.toRedacted(config)))
+     * @param {any} config  A config (or a sub-tree) that was updated by this ConfigUpdater
+     * @returns {any} The redacted copy
+     */
+    toRedacted(config) {
+        return this.#secrets.redact(config)
+    }
+
+    /**
+     * Formats an updated config for logging, with all secrets masked.
+     * @param {any} config      A config (or a sub-tree) that was updated by this ConfigUpdater
+     * @param {object} options  Options of `util.inspect()` (default: `depth: null`)
+     * @returns {string} The redacted config as string
+     * @see toRedacted
+     */
+    inspect(config, options = {}) {
+        return util.inspect(this.toRedacted(config), {
+            depth: null,
+            ...options,
+        })
+    }
+
+    /**
+     * Builds the options of updateConfig() from its parameters.
+     * @param {Array|object} exclude  The array of excluded property-names or an options-object
+     * @param {string} initialParentKey
+     * @returns {object} The options with all parameters
+     */
+    static #updateOptions(exclude, initialParentKey) {
+        if (exclude && !Array.isArray(exclude) && typeof exclude == "object")
+            return { exclude: [], initialParentKey, ...exclude }
+        return { exclude, initialParentKey }
+    }
+
+    /**
+     * Creates the TraceEntry for a value. It's added to `options.trace` if \
+     * the option is set and the value is a macro or a string (template or \
+     * encrypted). Otherwise it's only used to detect secrets.
+     * @param {any} value
+     * @param {Array} path
+     * @param {object} options  The options of updateConfig()
+     * @returns {object} The TraceEntry
+     */
+    static #beginTrace(value, path, options) {
+        if (options.trace && (typeof value == "string" || CM.isMacro(value)))
+            return options.trace.begin(path)
+        return ConfigTrace.createEntry(path)
+    }
+
+    /**
+     * Adds a failed macro to `errors` if `options.collectErrors` is set. \
+     * Otherwise (or if it's no CuError) the error is thrown again.
+     * @param {Error} error
+     * @param {CM} macro      The macro that failed
+     * @param {Array} path    The path of the macro
+     * @param {Array} errors  Collected errors
+     * @param {object} options  The options of updateConfig()
+     * @param {object} entry    The TraceEntry of the macro
+     */
+    static #collectError(error, macro, path, errors, options, entry) {
+        if (!options.collectErrors || !(error instanceof CuError)) throw error
+        ConfigTrace.finish(entry, undefined).error = error.message
+        errors.push({
+            path: path.join("/"),
+            key: CM.getKey(macro),
+            message: error.message,
+            error,
+        })
+    }
+
+    /**
+     * Traverses the config-tree and calls `resolve` for every object-value \
+     * (and every encrypted string and every template-string if \
+     * `options.interpolate` is set).
+     *
+     * `resolve(value, path, done)` has to call `done(result, secret)` with \
+     * the result of the macro. Synchronously (updateConfig()) or later \
+     * (updateConfigAsync()). `done` replaces the config-entry, remembers \
+     * secret values, copies the `$defaults` and continues with the sub-tree \
+     * of the result.
+     *
+     * The `$profiles` of an object are merged before its properties are \
+     * resolved (see #applyProfiles()).
+     *
+     * With `options.clone` (resolveConfig()) the results of macros and the \
+     * `$defaults`-entries are copied and the `$defaults`-nodes are removed.
+     * `options.copyResults` (watch()) only copies the results of macros.
+     * `options.record` (watch()) receives every resolved macro: \
+     * `{path, parent, key, value}`. `options.rootPath` replaces the path of \
+     * `initialParentKey`. `options.refRoot` is the config of the `$ref`s \
+     * (see #createRefs()).
+     *
+     * Every object is traversed once. An object that appears several times \
+     * (e.g. a shared sub-tree) is resolved at its first position. An object \
+     * that contains itself (directly or by a macro-result) throws a CuError.
+     * @param {object|array} root     The config-tree
+     * @param {object}       options  The options of updateConfig() (`include`, `exclude`, `initialParentKey`, `interpolate`, `clone`, `copyResults`, `record`, `rootPath`)
+     * @param {function}     resolve  Function that resolves a single value
+     * @throws CuError  If the config contains a cycle
+     */
+    #traverseConfig(root, options, resolve) {
+        const selection = new PathSelection(options.include, options.exclude)
+        const secrets = this.#secrets
+        const visited = new Set() // objects that are (being) traversed
         // Need to check "typeof config == 'object'" _before_ calling!!!
-        function traverseConfig(config) {
+        // Every node gets its own path-array because `done` can be called
+        //  after the traversal of the siblings has continued (async).
+        // `ancestors` maps the objects of the path to their paths (cycles)
+        function traverseConfig(config, parentPath, ancestors) {
+            if (
+                !Array.isArray(config) &&
+                config.hasOwnProperty(ConfigUpdater.PROFILES_KEY)
+            )
+                ConfigUpdater.#applyProfiles(
+                    config,
+                    options.profile,
+                    parentPath
+                )
             const fallback = config[ConfigUpdater.FALLBACK_KEY]
             const keys = Array.isArray(config)
                 ? config.keys()
@@ -456,47 +2663,235 @@ class ConfigUpdater {
                 const value = config[indexKey]
                 if (
                     value &&
-                    typeof value == "object" &&
-                    indexKey != ConfigUpdater.FALLBACK_KEY &&
-                    (!exclude || !exclude.includes(indexKey))
+                    (typeof value == "object" ||
+                        isEncrypted(value) ||
+                        (options.interpolate &&
+                            typeof value == "string" &&
+                            value.includes("${"))) &&
+                    indexKey != ConfigUpdater.FALLBACK_KEY
                 ) {
-                    path.push(indexKey)
+                    const path = [...parentPath, indexKey]
+                    if (selection.excludes(path)) continue
+                    // Not included => only descend into objects on the way
+                    //  to an included branch. Macros stay unresolved
+                    if (
+                        !selection.includes(path) &&
+                        (!selection.leadsToInclude(path) ||
+                            typeof value != "object" ||
+                            CM.isMacro(value))
+                    )
+                        continue
                     // try to substitute the value
-                    const result = $this.getCmValue(value, path)
-
-                    // Value changed => replace the config-entry
-                    if (result != value) {
-                        config[indexKey] = result
-                    }
-
-                    if (result && typeof result == "object") {
-                        // Copy all missing properties from the $defaults-object
-                        // remark: This can't happen if config is an array!
-                        if (fallback) {
-                            const keys = Object.keys(result)
-                            for (const key in fallback) {
-                                if (!keys.includes(key)) {
-                                    result[key] = fallback[key]
+                    resolve(value, path, (result, secret) => {
+                        // Don't change objects of repositories or defaults
+                        if (
+                            (options.clone || options.copyResults) &&
+                            result !== value
+                        )
+                            result = ConfigUpdater.#cloneConfig(result)
+                        // Value changed => replace the config-entry
+                        if (result != value) {
+                            config[indexKey] = result
+                        }
+                        if (secret) secrets.add(config, indexKey)
+                        if (
+                            options.record &&
+                            (typeof value == "string" || CM.isMacro(value))
+                        )
+                            options.record({
+                                path,
+                                parent: config,
+                                key: indexKey,
+                                value,
+                            })
+
+                        if (result && typeof result == "object") {
+                            // Copy all missing properties from the $defaults-object
+                            // remark: This can't happen if config is an array!
+                            if (fallback) {
+                                const keys = Object.keys(result)
+                                for (const key in fallback) {
+                                    if (!keys.includes(key)) {
+                                        result[key] = options.clone
+                                            ? ConfigUpdater.#cloneConfig(
+                                                  fallback[key]
+                                              )
+                                            : fallback[key]
+                                    }
                                 }
                             }
+                            if (ancestors.has(result))
+                                throw ConfigUpdater.#cycleError(
+                                    ancestors,
+                                    result,
+                                    path
+                                )
+                            // Recursive call for all children of the current node
+                            if (!visited.has(result)) {
+                                visited.add(result)
+                                traverseConfig(
+                                    result,
+                                    path,
+                                    new Map(ancestors).set(result, path)
+                                )
+                            }
                         }
-                        // Recursive call for all children of the current node
-                        traverseConfig(result)
-                    }
-                    path.pop()
+                    })
                 }
             }
+            // The siblings got their copies (see `fallback` above)
+            if (options.clone) delete config[ConfigUpdater.FALLBACK_KEY]
         }
 
         if (root && typeof root == "object") {
-            if (initialParentKey) {
-                path.push(initialParentKey)
+            const path = ConfigUpdater.#rootPath(options)
+            visited.add(root)
+            traverseConfig(root, path, new Map([[root, path]]))
+        }
+    }
+
+    /**
+     * Merges the variant of the active profile (and the variants it extends) \
+     * over an object and removes its `$profiles`-property.
+     *
+     * An object without a variant of the active profile keeps its values.
+     * @param {object} config             An object with a `$profiles`-property
+     * @param {string|undefined} profile  The active profile
+     * @param {Array} path                The path of the object
+     * @throws CuError  If a profile isn't an object, extends an unknown profile or the profiles contain a cycle
+     */
+    static #applyProfiles(config, profile, path) {
+        const profiles = config[ConfigUpdater.PROFILES_KEY]
+        const where = path.join("/") || "/"
+        delete config[ConfigUpdater.PROFILES_KEY]
+        if (!ConfigUpdater.#isBranch(profiles))
+            throw new CuError(
+                `"${ConfigUpdater.PROFILES_KEY}" of "${where}" must be an object with the profiles`
+            )
+        // The variants from the active profile to the one it extends (last)
+        const names = []
+        const variants = []
+        for (let name = profile; name !== undefined; ) {
+            if (names.includes(name))
+                throw new CuError(
+                    `Cycle in the profiles of "${where}": ${[
+                        ...names,
+                        name,
+                    ].join(" -> ")}`
+                )
+            if (!profiles.hasOwnProperty(name)) {
+                if (!names.length) return // no variant of the active profile
+                throw new CuError(
+                    `The profile "${
+                        names[names.length - 1]
+                    }" of "${where}" extends the unknown profile "${name}"`
+                )
             }
-            traverseConfig(root)
+            if (!ConfigUpdater.#isBranch(profiles[name]))
+                throw new CuError(
+                    `The profile "${name}" of "${where}" must be an object`
+                )
+            const { [ConfigUpdater.EXTENDS_KEY]: base, ...variant } =
+                profiles[name]
+            names.push(name)
+            variants.push(variant)
+            name = base
         }
-        // possible chaining
-        return root
+        for (const variant of variants.reverse())
+            ConfigUpdater.#mergeProfile(config, variant)
     }
+
+    /**
+     * Deep-merges a profile-variant into an object. Objects are merged, all \
+     * other values (arrays, macros, ...) are copied and replace the value.
+     * @param {object} target
+     * @param {object} variant
+     */
+    static #mergeProfile(target, variant) {
+        for (const key of Object.keys(variant)) {
+            const value = variant[key]
+            if (
+                ConfigUpdater.#isBranch(target[key]) &&
+                ConfigUpdater.#isBranch(value)
+            )
+                ConfigUpdater.#mergeProfile(target[key], value)
+            else target[key] = ConfigUpdater.#cloneConfig(value)
+        }
+    }
+
+    /**
+     * @param {any} value
+     * @returns {boolean} `true` for plain objects that aren't macros (objects of a profile-merge)
+     */
+    static #isBranch(value) {
+        return isContainer(value) && !Array.isArray(value) && !CM.isMacro(value)
+    }
+
+    /**
+     * Creates the error for an object that contains itself.
+     * @param {Map} ancestors  The objects of the path => their paths
+     * @param {object} object  The object that appears twice
+     * @param {Array} path     The path where it appears again
+     * @returns {CuError}
+     */
+    static #cycleError(ancestors, object, path) {
+        const paths = [...ancestors.values()]
+        const cycle = paths.slice(paths.indexOf(ancestors.get(object)))
+        const names = [...cycle, path].map((path) => path.join("/") || "/")
+        return new CuError(
+            `Cycle in the config: "${
+                names[names.length - 1]
+            }" is the same object as "${names[0]}" (${names.join(" -> ")})`
+        )
+    }
+}
+
+/**
+ * Runs a generator of #resolveMacro() synchronously. Yielded values are
+ * passed back unchanged. A Promise (of an async resolver, callback or
+ * extension) is thrown into the generator as CuError.
+ * @param {Generator} generator
+ * @param {string} [method]  The async version of the called function (for the error-message)
+ * @returns {any} The return-value of the generator
+ */
+function runSync(generator, method) {
+    let step = generator.next()
+    while (!step.done) {
+        const value = step.value
+        if (value && typeof value.then == "function") {
+            // Nobody awaits the Promise => no unhandled rejection
+            value.then(undefined, () => {})
+            step = generator.throw(
+                new CuError(
+                    `A resolver or callback returned a Promise. Use ${
+                        method || "the async functions"
+                    } instead`
+                )
+            )
+        } else step = generator.next(value)
+    }
+    return step.value
+}
+
+/**
+ * Runs a generator of #resolveMacro() asynchronously. Yielded values are
+ * awaited before they are passed back. Rejections are thrown into the generator.
+ * @param {Generator} generator
+ * @returns {Promise<any>} The return-value of the generator
+ */
+async function runAsync(generator) {
+    let step = generator.next()
+    while (!step.done) {
+        let value
+        try {
+            value = await step.value
+        } catch (error) {
+            step = generator.throw(error)
+            continue
+        }
+        step = generator.next(value)
+    }
+    return step.value
 }
 
 /** Config-Macro-Factory is a factory to create a new CM
@@ -506,6 +2901,21 @@ function cmf(key, _default = undefined) {
     return new CM(key, _default)
 }
 
+/**
+ * Creates a ConfigUpdater that is independent of the `configUpdater`-singleton
+ * (e.g. for libraries and tests). See ConfigUpdater.child() for layered updaters.
+ * @example
+ *     const updater = createConfigUpdater({ env: false })
+ *     updater.register("test", { db: { host: "localhost" } })
+ * @param {object} [options={}]
+ * @param {boolean} [options.env=true]      If `false` reset() doesn't register `process.env`
+ * @param {object} [options.envOptions={}]  Options of the `env`-repository (see register())
+ * @returns {ConfigUpdater} The new updater
+ */
+function createConfigUpdater(options = {}) {
+    return new ConfigUpdater(options)
+}
+
 const configUpdater = new ConfigUpdater()
 
 module.exports = {
@@ -513,5 +2923,26 @@ module.exports = {
     cu: configUpdater, // Alias
     CM,
     cmf, // CM-factory
+    createConfigUpdater,
     CuError,
+    CuAggregateError,
+    parseEnv,
+    parseIni,
+    parseJson,
+    parseYaml,
+    parseArgv,
+    readArgv,
+    createSecretDirResolver,
+    readSecretFile,
+    KV_FORMATS,
+    createHttpKvResolver,
+    TYPE_CONVERTERS,
+    ConfigTrace,
+    encryptValue,
+    DEFAULT_KEY_NAME,
+    SECRET_MASK,
+    ConfigWatch,
+    EXPRESSION_FUNCTIONS,
+    formatEnvExample,
+    formatMarkdown,
 }
@@ -0,0 +1,81 @@
+/**
+ * A key of a config-template (see ConfigUpdater.analyze()).
+ */
+export type KeyInfo = {
+    /**
+     * The key (parent-dependent keys with the parent-name)
+     */
+    key: string;
+    /**
+     * The config-paths that use the key
+     */
+    paths: string[];
+    /**
+     * `true` if one of the macros is mandatory (or a `${key:?}`-placeholder)
+     */
+    mandatory: boolean;
+    /**
+     * `true` if one of the macros is a secret
+     */
+    secret: boolean;
+    /**
+     * The `$type` of the first macro with a type
+     */
+    type?: string;
+    /**
+     * The default-chain of the first macro with a default (`condition`: `$if` or `$switch`)
+     */
+    defaults: Array<{
+        key: string;
+    } | {
+        ref: string;
+    } | {
+        condition: string;
+    } | {
+        expr: string;
+    } | {
+        value: any;
+    }>;
+};
+export type InventoryNamingOptions = {
+    prefix?: string;
+    separator?: string;
+    naming?: "kebab" | "camel" | "snake" | "SCREAMING_SNAKE";
+};
+/**
+ * Formats a value for a .env-file. Everything that parseEnv() wouldn't read
+ * back unchanged is quoted.
+ * @param {any} value  `null` and `undefined` become an empty string
+ * @returns {string}
+ */
+export function formatEnvValue(value: any): string;
+/**
+ * Creates an `.env.example`-file of the keys.
+ *
+ * Mandatory keys are variables without a value, all other keys are
+ * commented out with their default (if it's a literal). A comment lists
+ * the paths, the flags and the default-chain. Defaults of secrets are
+ * masked. The keys are converted to the names of the environment with the
+ * naming-options of its repository (see ConfigUpdater.register()).
+ * @example
+ *     // # db/port (integer)
+ *     // # PORT=5432
+ *     formatEnvExample(configUpdater.analyze(config))
+ * @param {KeyInfo[]} keys       The result of analyze()
+ * @param {object} [options={}]  The naming-options of the environment
+ * @param {string} [options.prefix=""]       Added to every name (`APP__`)
+ * @param {string} [options.separator="__"]  Joins the segments of a key (`db/host` => `db__host`)
+ * @param {string} [options.naming]          Converts every segment (e.g. `SCREAMING_SNAKE`)
+ * @returns {string} The content of the file
+ * @throws CuError  If the naming-convention is unknown
+ */
+export function formatEnvExample(keys: KeyInfo[], options?: InventoryNamingOptions): string;
+/**
+ * Creates a markdown-table of the keys (columns: key, paths, mandatory,
+ * type, secret, default). Defaults of secrets are masked.
+ * @param {KeyInfo[]} keys     The result of analyze()
+ * @param {object} options={}  The naming-options of formatEnvExample(). Without options the keys are shown unchanged
+ * @returns {string} The table
+ * @throws CuError  If the naming-convention is unknown
+ */
+export function formatMarkdown(keys: KeyInfo[], options?: InventoryNamingOptions): string;
@@ -0,0 +1,170 @@
+"use strict"
+
+/**
+ * Generators for the key-inventory of ConfigUpdater.analyze().
+ *
+ * analyze() lists every key that a config-template needs. The functions of
+ * this module turn the list into documentation for the people who deploy the
+ * application: an `.env.example`-file or a markdown-table.
+ *
+ * @license MIT
+ * @author Thomas von Stetten.
+ */
+
+// @ts-check   Enable TypeScript Type checking in VScode Editor
+
+const { CuError } = require("./errors")
+const { NAMING_CONVENTIONS, convertName } = require("./naming")
+const { SECRET_MASK } = require("./secrets")
+
+/**
+ * A key of a config-template (see ConfigUpdater.analyze()).
+ * @typedef {object} KeyInfo
+ * @property {string} key          The key (parent-dependent keys with the parent-name)
+ * @property {string[]} paths      The config-paths that use the key
+ * @property {boolean} mandatory   `true` if one of the macros is mandatory (or a `${key:?}`-placeholder)
+ * @property {boolean} secret      `true` if one of the macros is a secret
+ * @property {string} [type]       The `$type` of the first macro with a type
+ * @property {Array<{key: string}|{ref: string}|{condition: string}|{expr: string}|{value: any}>} defaults  The default-chain of the first macro with a default (`condition`: `$if` or `$switch`)
+ */
+
+/**
+ * Formats a value for a .env-file. Everything that parseEnv() wouldn't read
+ * back unchanged is quoted.
+ * @param {any} value  `null` and `undefined` become an empty string
+ * @returns {string}
+ */
+function formatEnvValue(value) {
+    let text = value == null ? "" : String(value)
+    if (value instanceof Date) text = value.toISOString()
+    else if (value && typeof value == "object") text = JSON.stringify(value)
+    return /^[\w.\-/:@,+*]*$/.test(text) ? text : JSON.stringify(text)
+}
+
+/**
+ * Creates an `.env.example`-file of the keys.
+ *
+ * Mandatory keys are variables without a value, all other keys are \
+ * commented out with their default (if it's a literal). A comment lists \
+ * the paths, the flags and the default-chain. Defaults of secrets are \
+ * masked. The keys are converted to the names of the environment with the \
+ * naming-options of its repository (see ConfigUpdater.register()).
+ * @example
+ *     // # db/port (integer)
+ *     // # PORT=5432
+ *     formatEnvExample(configUpdater.analyze(config))
+ * @param {KeyInfo[]} keys       The result of analyze()
+ * @param {object} [options={}]  The naming-options of the environment
+ * @param {string} [options.prefix=""]       Added to every name (`APP__`)
+ * @param {string} [options.separator="__"]  Joins the segments of a key (`db/host` => `db__host`)
+ * @param {string} [options.naming]          Converts every segment (e.g. `SCREAMING_SNAKE`)
+ * @returns {string} The content of the file
+ * @throws CuError  If the naming-convention is unknown
+ */
+function formatEnvExample(keys, options = {}) {
+    const name = envName(options)
+    return keys
+        .map((info) => {
+            const lines = [`# ${describe(info)}`]
+            const [first] = info.defaults
+            const literal = info.defaults.length == 1 && "value" in first
+            const value = literal
+                ? formatEnvValue(info.secret ? SECRET_MASK : first.value)
+                : ""
+            if (info.defaults.length && !literal)
+                lines.push(`# Default: ${formatDefaults(info, name)}`)
+            lines.push(
+                `${info.mandatory ? "" : "# "}${name(info.key)}=${value}`
+            )
+            return lines.join("\n")
+        })
+        .join("\n\n")
+}
+
+/**
+ * Creates a markdown-table of the keys (columns: key, paths, mandatory, \
+ * type, secret, default). Defaults of secrets are masked.
+ * @param {KeyInfo[]} keys     The result of analyze()
+ * @param {object} options={}  The naming-options of formatEnvExample(). Without options the keys are shown unchanged
+ * @returns {string} The table
+ * @throws CuError  If the naming-convention is unknown
+ */
+function formatMarkdown(keys, options = {}) {
+    const name = envName({ separator: "/", ...options })
+    const cell = (text) => text.replace(/\|/g, "\\|").replace(/\n/g, " ")
+    const code = (text) => (text ? cell(`\`${text}\``) : "")
+    const rows = keys.map((info) => [
+        code(name(info.key)),
+        info.paths.map(code).join(", "),
+        info.mandatory ? "yes" : "",
+        info.type || "",
+        info.secret ? "yes" : "",
+        code(formatDefaults(info, name)),
+    ])
+    return [
+        "| Key | Paths | Mandatory | Type | Secret | Default |",
+        "| --- | --- | --- | --- | --- | --- |",
+        ...rows.map((row) => `| ${row.join(" | ")} |`),
+    ].join("\n")
+}
+
+/**
+ * @param {object} options  The naming-options of formatEnvExample()
+ * @returns {function(string): string} Converts a key to a name
+ */
+function envName(options) {
+    const { prefix = "", separator = "__", naming } = options
+    if (naming !== undefined && !NAMING_CONVENTIONS.hasOwnProperty(naming))
+        throw new CuError(
+            `Unknown naming-convention "${naming}" (${Object.keys(
+                NAMING_CONVENTIONS
+            ).join(", ")})`
+        )
+    return (key) =>
+        prefix +
+        key
+            .split("/")
+            .map((segment) => (naming ? convertName(segment, naming) : segment))
+            .join(separator)
+}
+
+/**
+ * @param {KeyInfo} info
+ * @returns {string} The paths and flags of a key
+ */
+function describe(info) {
+    const flags = [
+        info.mandatory && "mandatory",
+        info.type,
+        info.secret && "secret",
+    ].filter(Boolean)
+    return (
+        info.paths.join(", ") + (flags.length ? ` (${flags.join(", ")})` : "")
+    )
+}
+
+/**
+ * @param {KeyInfo} info
+ * @param {function} name  Converts a key to a name
+ * @returns {string} The default-chain (`HOST -> "localhost"`)
+ */
+function formatDefaults(info, name) {
+    return info.defaults
+        .map((step) => {
+            if ("key" in step) return name(step.key)
+            if ("ref" in step) return `$ref ${step.ref}`
+            if ("condition" in step) return step.condition
+            if ("expr" in step) return `$expr ${JSON.stringify(step.expr)}`
+            if (info.secret) return SECRET_MASK
+            return step.value === undefined
+                ? "undefined"
+                : JSON.stringify(step.value)
+        })
+        .join(" -> ")
+}
+
+module.exports = {
+    formatEnvExample,
+    formatEnvValue,
+    formatMarkdown,
+}
@@ -0,0 +1,40 @@
+/**
+ * Converters of the words of a name, by name of the convention.
+ * @type {Object<string, function(string[]): string>}
+ */
+export const NAMING_CONVENTIONS: {
+    [naming: string]: (words: string[]) => string;
+};
+/**
+ * Converts a name to a naming-convention.
+ * @param {string} name
+ * @param {string} naming  A name of NAMING_CONVENTIONS
+ * @returns {string}
+ */
+export function convertName(name: string, naming: string): string;
+/**
+ * Creates a resolver (see ConfigUpdater.register()) that maps macro-keys to
+ * the naming-convention of a repository.
+ * @example
+ *     // APP__DB__MAX_CONNECTIONS => "db/maxConnections"
+ *     createNamingResolver({ prefix: "APP__", separator: "__", naming: "SCREAMING_SNAKE" })
+ * @param {object} [options]
+ * @param {string} [options.prefix=""]          Added to the key
+ * @param {string} [options.separator]          Joins the segments to a flat key. Without a separator the repository is walked like a tree
+ * @param {boolean} [options.ignoreCase=false]  Compare the keys case-insensitive
+ * @param {string} [options.naming]             A name of NAMING_CONVENTIONS. The segments of the macro-key are converted
+ * @returns {function} The resolver
+ * @throws CuError  If an option is invalid
+ */
+export function createNamingResolver(options: {
+    prefix?: string;
+    separator?: string;
+    ignoreCase?: boolean;
+    naming?: string;
+}): (repository: object, splitSearchKey: string[]) => any;
+/**
+ * Checks whether the options of register() need a naming-resolver.
+ * @param {object} options
+ * @returns {boolean}
+ */
+export function hasNamingOptions(options: object): boolean;
@@ -0,0 +1,187 @@
+"use strict"
+
+/**
+ * Naming-conventions of repositories (options of ConfigUpdater.register()).
+ *
+ * Macro-keys are paths (`db/maxConnections`). Repositories like the
+ * environment are flat and use other conventions (`APP__DB__MAX_CONNECTIONS`).
+ * The resolver of createNamingResolver() maps the macro-key to the key of the
+ * repository:
+ * - `naming`: every segment is converted (`kebab`, `camel`, `snake`,
+ *   `SCREAMING_SNAKE`)
+ * - `separator`: the segments are joined to one flat key (`__`). A key
+ *   without a value is answered with the tree of all flat keys below it.
+ * - `prefix`: added to the (first) key (`APP__`)
+ * - `ignoreCase`: keys are compared case-insensitive
+ *
+ * @license MIT
+ * @author Thomas von Stetten.
+ */
+
+// @ts-check   Enable TypeScript Type checking in VScode Editor
+
+const { CuError } = require("./errors")
+
+/**
+ * Converters of the words of a name, by name of the convention.
+ * @type {Object<string, function(string[]): string>}
+ */
+const NAMING_CONVENTIONS = {
+    kebab: (words) => words.join("-").toLowerCase(),
+    camel: (words) =>
+        words
+            .map((word, index) =>
+                index
+                    ? word[0].toUpperCase() + word.substring(1).toLowerCase()
+                    : word.toLowerCase()
+            )
+            .join(""),
+    snake: (words) => words.join("_").toLowerCase(),
+    SCREAMING_SNAKE: (words) => words.join("_").toUpperCase(),
+}
+
+/** Options of register() that create a naming-resolver */
+const NAMING_OPTIONS = ["prefix", "separator", "ignoreCase", "naming"]
+
+/**
+ * Splits a name into words (`maxConnections`, `max-connections`, `MAX_CONNECTIONS` => `max`, `connections`).
+ * @param {string} name
+ * @returns {string[]}
+ */
+function splitWords(name) {
+    return name
+        .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+        .split(/[\s_\-.]+/)
+        .filter(Boolean)
+}
+
+/**
+ * Converts a name to a naming-convention.
+ * @param {string} name
+ * @param {string} naming  A name of NAMING_CONVENTIONS
+ * @returns {string}
+ */
+function convertName(name, naming) {
+    const words = splitWords(name)
+    return words.length ? NAMING_CONVENTIONS[naming](words) : name
+}
+
+/**
+ * Checks whether the options of register() need a naming-resolver.
+ * @param {object} options
+ * @returns {boolean}
+ */
+function hasNamingOptions(options) {
+    return NAMING_OPTIONS.some((option) => options[option] !== undefined)
+}
+
+/**
+ * Creates a resolver (see ConfigUpdater.register()) that maps macro-keys to
+ * the naming-convention of a repository.
+ * @example
+ *     // APP__DB__MAX_CONNECTIONS => "db/maxConnections"
+ *     createNamingResolver({ prefix: "APP__", separator: "__", naming: "SCREAMING_SNAKE" })
+ * @param {object} [options]
+ * @param {string} [options.prefix=""]          Added to the key
+ * @param {string} [options.separator]          Joins the segments to a flat key. Without a separator the repository is walked like a tree
+ * @param {boolean} [options.ignoreCase=false]  Compare the keys case-insensitive
+ * @param {string} [options.naming]             A name of NAMING_CONVENTIONS. The segments of the macro-key are converted
+ * @returns {function} The resolver
+ * @throws CuError  If an option is invalid
+ */
+function createNamingResolver(options) {
+    const { prefix = "", separator, ignoreCase = false, naming } = options
+    if (naming !== undefined && !NAMING_CONVENTIONS.hasOwnProperty(naming))
+        throw new CuError(
+            `Unknown naming-convention "${naming}" (${Object.keys(
+                NAMING_CONVENTIONS
+            ).join(", ")})`
+        )
+    if (separator !== undefined && (!separator || typeof separator != "string"))
+        throw new CuError(`Invalid separator "${separator}"`)
+    if (typeof prefix != "string")
+        throw new CuError(`Invalid prefix "${prefix}"`)
+
+    const convert = (segment) =>
+        naming ? convertName(segment, naming) : segment
+    const same = (a, b) =>
+        ignoreCase ? a.toLowerCase() == b.toLowerCase() : a == b
+    const find = (node, key) => {
+        if (!node || typeof node != "object") return undefined
+        if (node[key] !== undefined || !ignoreCase) return node[key]
+        const match = Object.keys(node).find((name) => same(name, key))
+        return match === undefined ? undefined : node[match]
+    }
+
+    if (!separator) {
+        // A nested repository: convert every segment
+        return (repository, splitSearchKey) => {
+            let node = repository
+            for (let i = 0; i < splitSearchKey.length; i++) {
+                const key = convert(splitSearchKey[i])
+                node = find(node, i ? key : prefix + key)
+                if (node === undefined) return undefined
+            }
+            return node
+        }
+    }
+
+    return (repository, splitSearchKey) => {
+        const key = prefix + splitSearchKey.map(convert).join(separator)
+        const value = find(repository, key)
+        if (value !== undefined) return value
+        return buildTree(repository, key + separator, separator, same, naming)
+    }
+}
+
+/**
+ * Builds the tree of all flat keys that start with a prefix
+ * (`DB__HOST`, `DB__PORT` => `{host, port}` for the prefix `DB__`).
+ * @param {object} repository
+ * @param {string} prefix     The flat key of the tree including the separator
+ * @param {string} separator
+ * @param {function} same     Compares two names
+ * @param {string} naming     If set the keys of the tree are converted to `camel`
+ * @returns {object|undefined} The tree or `undefined` if no key starts with the prefix
+ */
+function buildTree(repository, prefix, separator, same, naming) {
+    let tree
+    for (const name of Object.keys(repository)) {
+        if (
+            name.length <= prefix.length ||
+            !same(name.substring(0, prefix.length), prefix)
+        )
+            continue
+        const keys = name
+            .substring(prefix.length)
+            .split(separator)
+            .map((key) => (naming ? convertName(key, "camel") : key))
+        // `__proto__` would change the prototype of a node
+        if (keys.includes("__proto__")) continue
+        let node = (tree = tree || {})
+        for (const key of keys.slice(0, -1)) {
+            if (!hasOwn(node, key)) node[key] = {}
+            node = node[key]
+            if (typeof node != "object") break // a value and a tree
+        }
+        if (typeof node == "object" && !hasOwn(node, keys[keys.length - 1]))
+            node[keys[keys.length - 1]] = repository[name]
+    }
+    return tree
+}
+
+/**
+ * @param {object} object
+ * @param {string} key
+ * @returns {boolean} `true` if the key is an own property (not inherited)
+ */
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key)
+}
+
+module.exports = {
+    NAMING_CONVENTIONS,
+    convertName,
+    createNamingResolver,
+    hasNamingOptions,
+}
@@ -0,0 +1,19 @@
+/**
+ * Copies a config-tree. Recursive structures are copied once.
+ * @param {any} value
+ * @param {function} isCloneable=isContainer  Decides which objects are copied.
+ *   Copies keep the prototype of the original
+ * @returns {any} The copy
+ */
+export function deepClone(value: any, isCloneable?: (value: any) => boolean): any;
+/**
+ * Freezes all containers of a config-tree (see Object.freeze()).
+ * @param {any} value
+ * @returns {any} The value
+ */
+export function deepFreeze(value: any): any;
+/**
+ * @param {any} value
+ * @returns {boolean} `true` for arrays and plain objects
+ */
+export function isContainer(value: any): boolean;
@@ -0,0 +1,69 @@
+"use strict"
+
+/**
+ * Object-helpers of the Config-Updater (copy and freeze config-trees).
+ *
+ * Only arrays and plain objects are containers of a config. All other
+ * objects (class-instances like `URL` or `Buffer`) are values.
+ *
+ * @license MIT
+ * @author Thomas von Stetten.
+ */
+
+// @ts-check   Enable TypeScript Type checking in VScode Editor
+
+/**
+ * @param {any} value
+ * @returns {boolean} `true` for arrays and plain objects
+ */
+function isContainer(value) {
+    if (!value || typeof value != "object") return false
+    const prototype = Object.getPrototypeOf(value)
+    return (
+        Array.isArray(value) ||
+        prototype === Object.prototype ||
+        prototype === null
+    )
+}
+
+/**
+ * Copies a config-tree. Recursive structures are copied once.
+ * @param {any} value
+ * @param {function} isCloneable=isContainer  Decides which objects are copied. \
+ *   Copies keep the prototype of the original
+ * @returns {any} The copy
+ */
+function deepClone(value, isCloneable = isContainer) {
+    const copies = new Map()
+    const clone = (value) => {
+        if (!value || typeof value != "object" || !isCloneable(value))
+            return value
+        if (copies.has(value)) return copies.get(value)
+        const copy = Array.isArray(value)
+            ? []
+            : Object.create(Object.getPrototypeOf(value))
+        copies.set(value, copy)
+        for (const key of Object.keys(value)) copy[key] = clone(value[key])
+        return copy
+    }
+    return clone(value)
+}
+
+/**
+ * Freezes all containers of a config-tree (see Object.freeze()).
+ * @param {any} value
+ * @returns {any} The value
+ */
+function deepFreeze(value) {
+    if (isContainer(value) && !Object.isFrozen(value)) {
+        Object.freeze(value)
+        for (const key of Object.keys(value)) deepFreeze(value[key])
+    }
+    return value
+}
+
+module.exports = {
+    deepClone,
+    deepFreeze,
+    isContainer,
+}
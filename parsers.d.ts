@@ -0,0 +1,81 @@
+/**
+ * Parse the content of a .env-file.
+ *
+ * Supported syntax (compatible with the common dotenv-format):
+ * - `KEY=value` and `export KEY=value`
+ * - Comments (`# ...`) as full lines or after unquoted values (`KEY=x # comment`)
+ * - Single-quoted values are taken literally (`'no ${interpolation}'`)
+ * - Double-quoted values support escapes (`\n`, `\t`, `\"`, `\\`, `\$`) and
+ *   interpolation
+ * - Quoted values can span multiple lines
+ * - Interpolation with `${VAR}`, `${VAR:-default}` and `$VAR`. Variables are
+ *   searched in the values defined so far in the file and then in `options.env`.
+ *
+ * `process.env` is never changed.
+ * @param {string} text     The content of the file
+ * @param {object} [options]
+ * @param {string} [options.fileName="<string>"]  Name of the file (used for error-messages)
+ * @param {object} [options.env=process.env]      Fallback for interpolation. `null` disables the fallback
+ * @param {boolean} [options.interpolate=true]   Disable to take `$` literally
+ * @returns {object} The parsed name-value-pairs
+ * @throws CuError  With file-name and line-number if the syntax is invalid
+ */
+export function parseEnv(text: string, options?: {
+    fileName?: string;
+    env?: object | null;
+    interpolate?: boolean;
+}): {
+    [key: string]: string;
+};
+/**
+ * Parse the content of a JSON-file.
+ *
+ * In contrast to JSON.parse() syntax-errors always contain the line-number.
+ * @param {string} text     The content of the file
+ * @param {object} [options]
+ * @param {string} [options.fileName="<string>"]  Name of the file (used for error-messages)
+ * @returns {any} The parsed JSON-value
+ * @throws CuError  With file-name and line-number if the syntax is invalid
+ */
+export function parseJson(text: string, options?: {
+    fileName?: string;
+}): any;
+/**
+ * Parse the content of an INI-file.
+ *
+ * - `[section]` starts a section. Sections with dots (`[db.primary]`) are
+ *   nested objects, so the values can be accessed with `db/primary/<key>`.
+ * - `key = value`. Values are strings. Quotes around the value are removed.
+ * - `key[] = value` appends the value to the array `key`.
+ * - Comments start with `;` or `#` (full line or after a whitespace).
+ * @param {string} text     The content of the file
+ * @param {object} [options]
+ * @param {string} [options.fileName="<string>"]  Name of the file (used for error-messages)
+ * @returns {object} The parsed (nested) sections and values
+ * @throws CuError  With file-name and line-number if the syntax is invalid
+ */
+export function parseIni(text: string, options?: {
+    fileName?: string;
+}): object;
+/**
+ * Parse the content of a YAML-file. Only a subset of YAML is supported:
+ *
+ * - Block-mappings (`key: value`) and block-sequences (`- item`) nested by
+ *   indentation (spaces only)
+ * - Plain, single- and double-quoted scalars. Plain scalars are converted to
+ *   `null`, booleans and numbers where appropriate
+ * - Flow-sequences and -mappings on a single line (`[a, b]`, `{a: 1}`)
+ * - Literal (`|`) and folded (`>`) block-scalars with chomping-indicators
+ * - Comments and a leading `---`
+ *
+ * Anchors, aliases, tags and multiple documents are not supported and
+ * result in a CuError.
+ * @param {string} text     The content of the file
+ * @param {object} [options]
+ * @param {string} [options.fileName="<string>"]  Name of the file (used for error-messages)
+ * @returns {any} The parsed document (`null` for an empty document)
+ * @throws CuError  With file-name and line-number if the syntax is invalid
+ */
+export function parseYaml(text: string, options?: {
+    fileName?: string;
+}): any;
@@ -0,0 +1,709 @@
+"use strict"
+
+/**
+ * Parsers for file-repositories of the Config-Updater.
+ *
+ * Every parser gets the content of a file as a string and returns an object
+ * that can be registered as a repository (see ConfigUpdater.register()).
+ * Syntax-errors are thrown as CuError with the file-name and the line-number.
+ * The key `__proto__` would change the prototype of the result, so it's a
+ * syntax-error as well.
+ *
+ * @license MIT
+ * @author Thomas von Stetten.
+ */
+
+// @ts-check   Enable TypeScript Type checking in VScode Editor
+// spell: ignore dotenv
+
+const { CuError } = require("./errors")
+
+/**
+ * Throws a CuError that points to a line of the parsed file.
+ * @param {string} fileName  Name of the file (or "<string>")
+ * @param {number} line      1-based line-number
+ * @param {string} message   The error-message
+ */
+function syntaxError(fileName, line, message) {
+    throw new CuError(`${fileName}:${line}: ${message}`)
+}
+
+/**
+ * Returns the 1-based line-number of the character at `pos`.
+ * @param {string} text
+ * @param {number} pos
+ * @returns {number}
+ */
+function lineOf(text, pos) {
+    let line = 1
+    for (let i = 0; i < pos && i < text.length; i++) {
+        if (text[i] == "\n") line++
+    }
+    return line
+}
+
+/**
+ * Rejects a key that would change the prototype of the parsed object.
+ * @param {string} key
+ * @param {function(string): void} fail  Throws the syntax-error
+ */
+function checkKey(key, fail) {
+    if (key == "__proto__") fail(`Invalid key "${key}"`)
+}
+
+/**
+ * @param {object} object
+ * @param {string} key
+ * @returns {boolean} `true` if the key is an own property (not inherited)
+ */
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key)
+}
+
+// Escape-sequences inside double-quoted values of .env-files
+const ENV_ESCAPES = { n: "\n", r: "\r", t: "\t", '"': '"', "\\": "\\", $: "$" }
+// A variable-name in a .env-file (including `export `-prefix handling)
+const ENV_KEY =
+    /^[ \t]*(?:export[ \t]+)?([A-Za-z_][A-Za-z0-9_.-]*)[ \t]*=[ \t]*/
+
+/**
+ * Parse the content of a .env-file.
+ *
+ * Supported syntax (compatible with the common dotenv-format):
+ * - `KEY=value` and `export KEY=value`
+ * - Comments (`# ...`) as full lines or after unquoted values (`KEY=x # comment`)
+ * - Single-quoted values are taken literally (`'no ${interpolation}'`)
+ * - Double-quoted values support escapes (`\n`, `\t`, `\"`, `\\`, `\$`) and
+ *   interpolation
+ * - Quoted values can span multiple lines
+ * - Interpolation with `${VAR}`, `${VAR:-default}` and `$VAR`. Variables are
+ *   searched in the values defined so far in the file and then in `options.env`.
+ *
+ * `process.env` is never changed.
+ * @param {string} text     The content of the file
+ * @param {object} [options]
+ * @param {string} [options.fileName="<string>"]  Name of the file (used for error-messages)
+ * @param {object} [options.env=process.env]      Fallback for interpolation. `null` disables the fallback
+ * @param {boolean} [options.interpolate=true]   Disable to take `$` literally
+ * @returns {object} The parsed name-value-pairs
+ * @throws CuError  With file-name and line-number if the syntax is invalid
+ */
+function parseEnv(text, options = {}) {
+    const fileName = options.fileName || "<string>"
+    const env = options.env === undefined ? process.env : options.env
+    const interpolate = options.interpolate !== false
+    const result = {}
+
+    const lookup = (name) => {
+        if (hasOwn(result, name)) return result[name]
+        if (env && env[name] !== undefined) return String(env[name])
+        return undefined
+    }
+
+    // replaces ${VAR}, ${VAR:-default} and $VAR. `\$` was replaced with "\0$" before
+    const expand = (value, line) =>
+        value.replace(
+            /\0\$|\$\{([^}]*)\}|\$([A-Za-z_][A-Za-z0-9_]*)|\$\{/g,
+            (match, braced, plain) => {
+                if (match == "\0$") return "$"
+                if (!interpolate) return match
+                if (match == "${")
+                    syntaxError(fileName, line, `Unterminated "\${" in value`)
+                let name = plain
+                let fallback
+                if (braced !== undefined) {
+                    const parts =
+                        /^([A-Za-z_][A-Za-z0-9_.-]*)(?::-(.*))?$/s.exec(braced)
+                    if (!parts)
+                        syntaxError(
+                            fileName,
+                            line,
+                            `Invalid variable "${match}"`
+                        )
+                    name = parts[1]
+                    fallback = parts[2]
+                }
+                let value = lookup(name)
+                if (
+                    (value === undefined || value === "") &&
+                    fallback !== undefined
+                )
+                    value = fallback
+                return value === undefined ? "" : value
+            }
+        )
+
+    let pos = 0
+    let line = 1 // the line-number of `pos`
+    while (pos < text.length) {
+        let end = text.indexOf("\n", pos)
+        if (end < 0) end = text.length
+        const lineText = text.substring(pos, end).replace(/\r$/, "")
+
+        // empty lines and comments
+        if (!lineText.trim() || lineText.trim().startsWith("#")) {
+            pos = end + 1
+            line++
+            continue
+        }
+        const match = ENV_KEY.exec(lineText)
+        if (!match) syntaxError(fileName, line, `Invalid line "${lineText}"`)
+        const key = match[1]
+        checkKey(key, (message) => syntaxError(fileName, line, message))
+        let valueStart = pos + match[0].length
+        const quote = text[valueStart]
+
+        if (quote == '"' || quote == "'" || quote == "`") {
+            // Search the closing quote. It can be on one of the next lines
+            let i = valueStart + 1
+            let value = ""
+            while (i < text.length && text[i] != quote) {
+                if (text[i] == "\\" && quote == '"' && i + 1 < text.length) {
+                    const escaped = ENV_ESCAPES[text[i + 1]]
+                    if (escaped === undefined) value += "\\" + text[i + 1]
+                    else if (escaped == "$") value += "\0$"
+                    else value += escaped
+                    i += 2
+                } else {
+                    value += text[i++]
+                }
+            }
+            if (i >= text.length)
+                syntaxError(
+                    fileName,
+                    line,
+                    `Missing closing ${quote} for "${key}"`
+                )
+            // the line of the closing quote
+            const quoteLine =
+                line + (text.substring(pos, i).match(/\n/g) || []).length
+            // Only spaces and a comment are allowed after the closing quote
+            end = text.indexOf("\n", i)
+            if (end < 0) end = text.length
+            const rest = text.substring(i + 1, end).trim()
+            if (rest && !rest.startsWith("#"))
+                syntaxError(
+                    fileName,
+                    quoteLine,
+                    `Unexpected "${rest}" after the value of "${key}"`
+                )
+            value = value.replace(/\r\n/g, "\n")
+            result[key] = quote == '"' ? expand(value, line) : value
+            line = quoteLine
+        } else {
+            // Unquoted: up to the end of the line without an inline comment
+            let value = text.substring(valueStart, end).replace(/\r$/, "")
+            value = value.replace(/(^|[ \t])#.*$/, "").trim()
+            result[key] = expand(value.replace(/\\\$/g, "\0$"), line)
+        }
+        pos = end + 1
+        line++
+    }
+    return result
+}
+
+/**
+ * Parse the content of a JSON-file.
+ *
+ * In contrast to JSON.parse() syntax-errors always contain the line-number.
+ * @param {string} text     The content of the file
+ * @param {object} [options]
+ * @param {string} [options.fileName="<string>"]  Name of the file (used for error-messages)
+ * @returns {any} The parsed JSON-value
+ * @throws CuError  With file-name and line-number if the syntax is invalid
+ */
+function parseJson(text, options = {}) {
+    const fileName = options.fileName || "<string>"
+    let pos = 0
+
+    const fail = (message) => syntaxError(fileName, lineOf(text, pos), message)
+    const skipSpaces = () => {
+        while (pos < text.length && " \t\r\n\ufeff".includes(text[pos])) pos++
+    }
+    const expect = (char) => {
+        skipSpaces()
+        if (text[pos] !== char)
+            fail(`Expected "${char}" but found ${describe()}`)
+        pos++
+    }
+    const describe = () =>
+        pos < text.length ? `"${text[pos]}"` : "end of file"
+
+    function parseValue() {
+        skipSpaces()
+        const char = text[pos]
+        if (char == "{") {
+            pos++
+            const result = {}
+            skipSpaces()
+            if (text[pos] == "}") {
+                pos++
+                return result
+            }
+            for (;;) {
+                skipSpaces()
+                if (text[pos] !== '"')
+                    fail(`Expected a key but found ${describe()}`)
+                const key = parseString()
+                checkKey(key, fail)
+                expect(":")
+                result[key] = parseValue()
+                skipSpaces()
+                if (text[pos] == ",") pos++
+                else if (text[pos] == "}") {
+                    pos++
+                    return result
+                } else fail(`Expected "," or "}" but found ${describe()}`)
+            }
+        }
+        if (char == "[") {
+            pos++
+            const result = []
+            skipSpaces()
+            if (text[pos] == "]") {
+                pos++
+                return result
+            }
+            for (;;) {
+                result.push(parseValue())
+                skipSpaces()
+                if (text[pos] == ",") pos++
+                else if (text[pos] == "]") {
+                    pos++
+                    return result
+                } else fail(`Expected "," or "]" but found ${describe()}`)
+            }
+        }
+        if (char == '"') return parseString()
+        const literal =
+            /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(
+                text.substring(pos, pos + 400)
+            )
+        if (!literal) fail(`Unexpected ${describe()}`)
+        pos += literal[0].length
+        return JSON.parse(literal[0])
+    }
+
+    function parseString() {
+        const start = pos
+        pos++ // opening quote
+        while (pos < text.length && text[pos] !== '"') {
+            if (text[pos] == "\n") fail("Unterminated string")
+            pos += text[pos] == "\\" ? 2 : 1
+        }
+        if (pos >= text.length) fail("Unterminated string")
+        pos++ // closing quote
+        try {
+            return JSON.parse(text.substring(start, pos))
+        } catch (error) {
+            pos = start
+            fail("Invalid escape-sequence in string")
+        }
+    }
+
+    const result = parseValue()
+    skipSpaces()
+    if (pos < text.length) fail(`Unexpected ${describe()} after the value`)
+    return result
+}
+
+/**
+ * Removes a quoted string or an inline-comment from a value of an INI-file.
+ * @param {string} value     The raw value (right of the `=`)
+ * @param {function} fail    Called with a message if the value is invalid
+ * @returns {string}
+ */
+function iniValue(value, fail) {
+    value = value.trim()
+    const quote = value[0]
+    if (quote == '"' || quote == "'") {
+        const end = value.indexOf(quote, 1)
+        if (end < 0) fail(`Missing closing ${quote}`)
+        const rest = value.substring(end + 1).trim()
+        if (rest && !/^[;#]/.test(rest))
+            fail(`Unexpected "${rest}" after the quoted value`)
+        return value.substring(1, end)
+    }
+    return value.replace(/(^|\s)[;#].*$/, "").trim()
+}
+
+/**
+ * Parse the content of an INI-file.
+ *
+ * - `[section]` starts a section. Sections with dots (`[db.primary]`) are
+ *   nested objects, so the values can be accessed with `db/primary/<key>`.
+ * - `key = value`. Values are strings. Quotes around the value are removed.
+ * - `key[] = value` appends the value to the array `key`.
+ * - Comments start with `;` or `#` (full line or after a whitespace).
+ * @param {string} text     The content of the file
+ * @param {object} [options]
+ * @param {string} [options.fileName="<string>"]  Name of the file (used for error-messages)
+ * @returns {object} The parsed (nested) sections and values
+ * @throws CuError  With file-name and line-number if the syntax is invalid
+ */
+function parseIni(text, options = {}) {
+    const fileName = options.fileName || "<string>"
+    const result = {}
+    let section = result
+
+    const lines = text.split(/\r?\n/)
+    lines.forEach((lineText, index) => {
+        const fail = (message) => syntaxError(fileName, index + 1, message)
+        const trimmed = lineText.trim()
+        if (!trimmed || trimmed[0] == ";" || trimmed[0] == "#") return
+
+        if (trimmed[0] == "[") {
+            const match = /^\[([^\]]+)\]\s*(?:[;#].*)?$/.exec(trimmed)
+            if (!match) fail(`Invalid section "${trimmed}"`)
+            section = result
+            for (const name of match[1].trim().split(".")) {
+                if (!name) fail(`Invalid section "${trimmed}"`)
+                checkKey(name, fail)
+                if (!hasOwn(section, name)) section[name] = {}
+                else if (typeof section[name] !== "object")
+                    fail(`Section "${match[1]}" conflicts with a value`)
+                section = section[name]
+            }
+            return
+        }
+
+        const equal = trimmed.indexOf("=")
+        if (equal <= 0) fail(`Invalid line "${trimmed}"`)
+        let key = trimmed.substring(0, equal).trim()
+        const value = iniValue(trimmed.substring(equal + 1), fail)
+        if (key.endsWith("[]")) {
+            key = key.substring(0, key.length - 2).trim()
+            checkKey(key, fail)
+            if (!hasOwn(section, key)) section[key] = []
+            else if (!Array.isArray(section[key]))
+                fail(`"${key}" is not an array`)
+            section[key].push(value)
+        } else {
+            checkKey(key, fail)
+            section[key] = value
+        }
+    })
+    return result
+}
+
+// Plain scalars of the YAML-subset that aren't strings
+const YAML_NULL = /^(?:~|null|Null|NULL)$/
+const YAML_BOOL = /^(?:true|True|TRUE|false|False|FALSE)$/
+const YAML_NUMBER =
+    /^[-+]?(?:\d[\d_]*(?:\.\d*)?|\.\d+)(?:[eE][-+]?\d+)?$|^0x[0-9a-fA-F]+$/
+
+/**
+ * Parse the content of a YAML-file. Only a subset of YAML is supported:
+ *
+ * - Block-mappings (`key: value`) and block-sequences (`- item`) nested by
+ *   indentation (spaces only)
+ * - Plain, single- and double-quoted scalars. Plain scalars are converted to
+ *   `null`, booleans and numbers where appropriate
+ * - Flow-sequences and -mappings on a single line (`[a, b]`, `{a: 1}`)
+ * - Literal (`|`) and folded (`>`) block-scalars with chomping-indicators
+ * - Comments and a leading `---`
+ *
+ * Anchors, aliases, tags and multiple documents are not supported and
+ * result in a CuError.
+ * @param {string} text     The content of the file
+ * @param {object} [options]
+ * @param {string} [options.fileName="<string>"]  Name of the file (used for error-messages)
+ * @returns {any} The parsed document (`null` for an empty document)
+ * @throws CuError  With file-name and line-number if the syntax is invalid
+ */
+function parseYaml(text, options = {}) {
+    const fileName = options.fileName || "<string>"
+    const lines = text.split(/\r?\n/)
+    let index = 0
+
+    const fail = (message, line = index + 1) =>
+        syntaxError(fileName, line, message)
+
+    // Returns the next line that isn't empty or a comment (without consuming it)
+    function peek() {
+        while (index < lines.length) {
+            const lineText = lines[index]
+            const trimmed = lineText.trim()
+            if (!trimmed || trimmed[0] == "#") {
+                index++
+                continue
+            }
+            if (/^\t* *\t/.test(lineText))
+                fail("Tabs can't be used for indentation")
+            if (/^(?:---|\.\.\.)(?:\s|$)/.test(lineText)) {
+                if (index > 0 && lines.slice(0, index).some(isContent))
+                    fail("Multiple documents are not supported")
+                index++
+                continue
+            }
+            const indent = lineText.length - lineText.trimStart().length
+            return { indent, content: trimmed }
+        }
+        return undefined
+    }
+    function isContent(lineText) {
+        const trimmed = lineText.trim()
+        return trimmed && trimmed[0] != "#" && trimmed != "---"
+    }
+    const isSequenceItem = (content) =>
+        content == "-" || content.startsWith("- ")
+
+    function parseNode(minIndent) {
+        const next = peek()
+        if (!next || next.indent < minIndent) return null
+        return isSequenceItem(next.content)
+            ? parseSequence(next.indent)
+            : parseMapping(next.indent)
+    }
+
+    function parseSequence(indent) {
+        const result = []
+        for (let next = peek(); next && next.indent == indent; next = peek()) {
+            if (!isSequenceItem(next.content)) break
+            const rest = next.content.substring(1).trimStart()
+            if (!rest || rest[0] == "#") {
+                index++
+                result.push(parseNode(indent + 1))
+            } else if (isSequenceItem(rest) || findColon(rest) >= 0) {
+                // "- key: value" or "- - item" => the rest of the line is the first line of a nested node
+                const nestedIndent = indent + next.content.length - rest.length
+                lines[index] = " ".repeat(nestedIndent) + rest
+                result.push(parseNode(nestedIndent))
+            } else {
+                index++
+                result.push(parseValue(rest, indent))
+            }
+        }
+        checkIndent(indent)
+        return result
+    }
+
+    function parseMapping(indent) {
+        const result = {}
+        for (let next = peek(); next && next.indent == indent; next = peek()) {
+            if (isSequenceItem(next.content)) break
+            const colon = findColon(next.content)
+            if (colon < 0)
+                fail(`Expected "key: value" but found "${next.content}"`)
+            const key = String(
+                parseScalar(next.content.substring(0, colon).trim())
+            )
+            checkKey(key, fail)
+            const rest = next.content.substring(colon + 1).trim()
+            index++
+            if (!rest || rest[0] == "#") {
+                const child = peek()
+                // a sequence can have the same indentation as its key
+                if (
+                    child &&
+                    child.indent == indent &&
+                    isSequenceItem(child.content)
+                )
+                    result[key] = parseSequence(indent)
+                else result[key] = parseNode(indent + 1)
+            } else {
+                result[key] = parseValue(rest, indent)
+            }
+        }
+        checkIndent(indent)
+        return result
+    }
+
+    // After a block the next line must not be indented deeper than the block itself
+    function checkIndent(indent) {
+        const next = peek()
+        if (next && next.indent > indent) fail("Unexpected indentation")
+    }
+
+    // Index of the ":" that separates key and value (outside of quotes)
+    function findColon(content) {
+        let quote
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i]
+            if (quote) {
+                if (char == quote) quote = undefined
+            } else if ((char == '"' || char == "'") && i == 0) quote = char
+            else if (char == "#" && i > 0 && /\s/.test(content[i - 1]))
+                return -1
+            else if (
+                char == ":" &&
+                (i + 1 == content.length || /\s/.test(content[i + 1]))
+            )
+                return i
+            else if (i == 0 && (char == "[" || char == "{")) return -1
+        }
+        return -1
+    }
+
+    // A value on the same line as its key or "-"
+    function parseValue(rest, indent) {
+        const line = index // the line was already consumed
+        if (/^[|>]/.test(rest)) return parseBlockScalar(rest, indent)
+        if (/^[&*!]/.test(rest))
+            fail("Anchors, aliases and tags are not supported", line)
+        const flow = rest[0] == "[" || rest[0] == "{"
+        if (flow) {
+            const state = { text: rest, pos: 0, line }
+            const result = parseFlow(state)
+            const tail = rest.substring(state.pos).trim()
+            if (tail && tail[0] != "#") fail(`Unexpected "${tail}"`, line)
+            return result
+        }
+        return parseScalar(stripComment(rest), line)
+    }
+
+    function stripComment(value) {
+        if (value[0] == '"' || value[0] == "'") {
+            const end = closingQuote(value, 0)
+            const tail = end < 0 ? "" : value.substring(end + 1).trim()
+            if (!tail || tail[0] == "#") return value.substring(0, end + 1)
+            return value
+        }
+        return value.replace(/\s+#.*$/, "").trim()
+    }
+
+    function closingQuote(value, start) {
+        const quote = value[start]
+        for (let i = start + 1; i < value.length; i++) {
+            if (quote == '"' && value[i] == "\\") i++
+            else if (value[i] == quote) {
+                if (quote == "'" && value[i + 1] == "'") i++
+                else return i
+            }
+        }
+        return -1
+    }
+
+    function parseScalar(value, line = index) {
+        const quote = value[0]
+        if (quote == '"' || quote == "'") {
+            if (closingQuote(value, 0) != value.length - 1)
+                fail(`Invalid quoted string ${value}`, line)
+            const inner = value.substring(1, value.length - 1)
+            if (quote == "'") return inner.replace(/''/g, "'")
+            try {
+                return JSON.parse(`"${inner.replace(/\\'/g, "'")}"`)
+            } catch (error) {
+                fail(`Invalid escape-sequence in ${value}`, line)
+            }
+        }
+        if (YAML_NULL.test(value)) return null
+        if (YAML_BOOL.test(value)) return value.toLowerCase() == "true"
+        if (YAML_NUMBER.test(value)) return Number(value.replace(/_/g, ""))
+        return value
+    }
+
+    // [a, b, {c: d}] and {a: 1, b: [2]} on a single line
+    function parseFlow(state) {
+        const open = state.text[state.pos]
+        const close = open == "[" ? "]" : "}"
+        const result = open == "[" ? [] : {}
+        state.pos++
+        const spaces = () => {
+            while (state.text[state.pos] == " ") state.pos++
+        }
+        const item = () => {
+            spaces()
+            const char = state.text[state.pos]
+            if (char == "[" || char == "{") return parseFlow(state)
+            let end = state.pos
+            if (char == '"' || char == "'") {
+                end = closingQuote(state.text, state.pos) + 1
+                if (end <= 0) fail(`Missing closing ${char}`, state.line)
+            } else {
+                while (
+                    end < state.text.length &&
+                    !",:]}".includes(state.text[end])
+                )
+                    end++
+                // "http://x" is a plain scalar, only ": " separates key and value
+                while (
+                    state.text[end] == ":" &&
+                    !/[\s,\]}]/.test(state.text[end + 1] || " ")
+                ) {
+                    end++
+                    while (
+                        end < state.text.length &&
+                        !",:]}".includes(state.text[end])
+                    )
+                        end++
+                }
+            }
+            const value = state.text.substring(state.pos, end).trim()
+            state.pos = end
+            return parseScalar(value, state.line)
+        }
+        spaces()
+        if (state.text[state.pos] == close) {
+            state.pos++
+            return result
+        }
+        for (;;) {
+            if (open == "[") {
+                result.push(item())
+            } else {
+                const key = String(item())
+                checkKey(key, (message) => fail(message, state.line))
+                spaces()
+                if (state.text[state.pos] != ":")
+                    fail(`Expected ":" in flow-mapping`, state.line)
+                state.pos++
+                result[key] = item()
+            }
+            spaces()
+            const char = state.text[state.pos++]
+            if (char == close) return result
+            if (char != ",") fail(`Expected "," or "${close}"`, state.line)
+        }
+    }
+
+    // | and > with optional chomping-indicator (-, +)
+    function parseBlockScalar(header, indent) {
+        const match = /^([|>])([-+]?)\s*(?:#.*)?$/.exec(header)
+        if (!match) fail(`Invalid block-scalar "${header}"`, index)
+        const collected = []
+        let blockIndent
+        while (index < lines.length) {
+            const lineText = lines[index]
+            const lineIndent = lineText.length - lineText.trimStart().length
+            if (lineText.trim()) {
+                if (blockIndent === undefined) {
+                    if (lineIndent <= indent) break
+                    blockIndent = lineIndent
+                } else if (lineIndent < blockIndent) break
+                collected.push(lineText.substring(blockIndent))
+            } else {
+                collected.push("")
+            }
+            index++
+        }
+        // trailing empty lines
+        let trailing = 0
+        while (collected.length && collected[collected.length - 1] == "") {
+            collected.pop()
+            trailing++
+        }
+        let value =
+            match[1] == "|"
+                ? collected.join("\n")
+                : collected
+                      .join("\n")
+                      .replace(/([^\n])\n(?=[^\n ])/g, "$1 ")
+                      .replace(/\n\n/g, "\n")
+        if (match[2] == "+") value += "\n".repeat(trailing + 1)
+        else if (match[2] != "-" && value) value += "\n"
+        return value
+    }
+
+    const result = parseNode(0)
+    const rest = peek()
+    if (rest) fail(`Unexpected "${rest.content}"`)
+    return result
+}
+
+module.exports = {
+    parseEnv,
+    parseIni,
+    parseJson,
+    parseYaml,
+}
@@ -0,0 +1,27 @@
+/**
+ * Selects the branches of a config that are resolved.
+ */
+export class PathSelection {
+    /**
+     * @param {Array<string|number>} include  Patterns of the branches that are resolved. `undefined` = all
+     * @param {Array<string|number>} exclude  Patterns of the branches that are skipped
+     * @throws CuError  If a pattern is invalid
+     */
+    constructor(include?: Array<string | number>, exclude?: Array<string | number>);
+    /**
+     * @param {Array} path  The path of a property
+     * @returns {boolean} `true` if the property (and its sub-tree) is skipped
+     */
+    excludes(path: any[]): boolean;
+    /**
+     * @param {Array} path  The path of a property
+     * @returns {boolean} `true` if the property or one of its parents is included
+     */
+    includes(path: any[]): boolean;
+    /**
+     * @param {Array} path  The path of a property
+     * @returns {boolean} `true` if an included branch can be below the property
+     */
+    leadsToInclude(path: any[]): boolean;
+    #private;
+}
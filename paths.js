@@ -0,0 +1,127 @@
+"use strict"
+
+/**
+ * Path-patterns of the Config-Updater (options `include` and `exclude` of
+ * updateConfig()).
+ *
+ * A pattern is a path with `/` as separator (`db/host`, `plugins/**`):
+ * - `*` in a segment matches any characters of one segment (`db_*`, `*`)
+ * - `**` matches any number of segments (also none)
+ * - array-indices are segments as well (`servers/0/host`)
+ * - a pattern without `/` matches a property-name at any depth (like the
+ *   former `exclude`-array). A leading `/` anchors it at the root (`/db`).
+ *
+ * @license MIT
+ * @author Thomas von Stetten.
+ */
+
+// @ts-check   Enable TypeScript Type checking in VScode Editor
+
+const { CuError } = require("./errors")
+
+/**
+ * Selects the branches of a config that are resolved.
+ */
+class PathSelection {
+    #include
+    #exclude
+
+    /**
+     * @param {Array<string|number>} include  Patterns of the branches that are resolved. `undefined` = all
+     * @param {Array<string|number>} exclude  Patterns of the branches that are skipped
+     * @throws CuError  If a pattern is invalid
+     */
+    constructor(include = undefined, exclude = []) {
+        this.#include = include && include.map(compilePattern)
+        this.#exclude = (exclude || []).map(compilePattern)
+    }
+
+    /**
+     * @param {Array} path  The path of a property
+     * @returns {boolean} `true` if the property (and its sub-tree) is skipped
+     */
+    excludes(path) {
+        return this.#exclude.some((pattern) => matchPath(pattern, path, 0, 0))
+    }
+
+    /**
+     * @param {Array} path  The path of a property
+     * @returns {boolean} `true` if the property or one of its parents is included
+     */
+    includes(path) {
+        if (!this.#include) return true
+        return this.#include.some((pattern) => {
+            for (let length = path.length; length >= 0; length--) {
+                if (matchPath(pattern, path.slice(0, length), 0, 0)) return true
+            }
+            return false
+        })
+    }
+
+    /**
+     * @param {Array} path  The path of a property
+     * @returns {boolean} `true` if an included branch can be below the property
+     */
+    leadsToInclude(path) {
+        if (!this.#include) return true
+        return this.#include.some((pattern) =>
+            matchPath(pattern, path, 0, 0, true)
+        )
+    }
+}
+
+/**
+ * Splits a pattern into its segments. Segments with `*` become RegExps.
+ * @param {string|number} pattern
+ * @returns {Array<string|RegExp>} The segments (`**` stays a string)
+ * @throws CuError  If the pattern is empty
+ */
+function compilePattern(pattern) {
+    let text = String(pattern)
+    if (!text || text == "/")
+        throw new CuError(`Invalid path-pattern "${pattern}"`)
+    if (text.startsWith("/")) text = text.substring(1)
+    else if (!text.includes("/")) text = "**/" + text
+    return text.split("/").map((segment) => {
+        if (segment == "**" || !segment.includes("*")) return segment
+        const source = segment
+            .split("*")
+            .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+            .join(".*")
+        return new RegExp(`^${source}$`)
+    })
+}
+
+/**
+ * Matches a compiled pattern against a path.
+ * @param {Array<string|RegExp>} pattern  The result of compilePattern()
+ * @param {Array} path                    The path of a property
+ * @param {number} p                      Current position in the pattern
+ * @param {number} i                      Current position in the path
+ * @param {boolean} prefix=false          If `true` the path may end before the pattern
+ * @returns {boolean}
+ */
+function matchPath(pattern, path, p, i, prefix = false) {
+    for (; p < pattern.length; p++, i++) {
+        const segment = pattern[p]
+        if (i >= path.length) {
+            // the path ends before the pattern
+            return prefix || pattern.slice(p).every((s) => s == "**")
+        }
+        if (segment == "**") {
+            // zero or more segments
+            for (let j = i; j <= path.length; j++) {
+                if (matchPath(pattern, path, p + 1, j, prefix)) return true
+            }
+            return false
+        }
+        const name = String(path[i])
+        if (segment instanceof RegExp ? !segment.test(name) : segment != name)
+            return false
+    }
+    return i >= path.length
+}
+
+module.exports = {
+    PathSelection,
+}
@@ -0,0 +1,24 @@
+/**
+ * Reads a secret-file.
+ * @param {string} fileName
+ * @param {string} encoding="utf8"
+ * @returns {string} The content without trailing newlines
+ * @throws CuError  If the file can't be read
+ */
+export function readSecretFile(fileName: string, encoding?: string): string;
+/**
+ * Creates the resolver of a secret-directory (see ConfigUpdater.registerSecretDir()).
+ *
+ * The repository of the resolver is the path of the directory. Entries
+ * that start with a `.` (e.g. the `..data`-links of Kubernetes) are ignored.
+ * @param {object} [options={}]
+ * @param {string} [options.naming]        Converts every segment of the key to a file-name (`kebab`, `camel`, `snake`, `SCREAMING_SNAKE`)
+ * @param {string} [options.encoding="utf8"] Encoding of the files
+ * @returns {function(string, string[]): any} The resolver. It throws a CuError if a key leaves the directory (`..`, `/` or `\`)
+ * @throws CuError  If the naming-convention is unknown
+ */
+export function createSecretDirResolver(options?: SecretDirOptions): (dir: string, splitSearchKey: string[]) => any;
+export type SecretDirOptions = {
+    naming?: "kebab" | "camel" | "snake" | "SCREAMING_SNAKE";
+    encoding?: string;
+};
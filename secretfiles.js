@@ -0,0 +1,124 @@
+"use strict"
+
+/**
+ * Secrets that are mounted as files (Docker secrets, Kubernetes volumes).
+ *
+ * - A secret-directory is a repository: the macro-key is the file-name,
+ *   nested keys are sub-directories (`db/password` => `<dir>/db/password`).
+ *   A directory is answered with the tree of all its files.
+ * - The `<KEY>_FILE`-convention: a repository with the option `fileSuffix`
+ *   answers a missing `DB_PASSWORD` with the content of the file that's
+ *   named by `DB_PASSWORD_FILE` (see ConfigUpdater.register()).
+ *
+ * The files are read whenever a macro is resolved, so rotated secrets are
+ * used by the next updateConfig(). Trailing newlines are removed.
+ *
+ * @license MIT
+ * @author Thomas von Stetten.
+ */
+
+// @ts-check   Enable TypeScript Type checking in VScode Editor
+
+const fs = require("fs")
+const nodePath = require("path")
+const { CuError } = require("./errors")
+const { NAMING_CONVENTIONS, convertName } = require("./naming")
+
+/**
+ * Reads a secret-file.
+ * @param {string} fileName
+ * @param {string} encoding="utf8"
+ * @returns {string} The content without trailing newlines
+ * @throws CuError  If the file can't be read
+ */
+function readSecretFile(fileName, encoding = "utf8") {
+    if (!fileName || typeof fileName != "string")
+        throw new CuError(`Invalid secret-file "${fileName}"`)
+    let text
+    try {
+        text = fs.readFileSync(fileName, {
+            encoding: /** @type {BufferEncoding} */ (encoding),
+        })
+    } catch (error) {
+        throw new CuError(`Can't read file "${fileName}": ${error.message}`)
+    }
+    return String(text).replace(/[\r\n]+$/, "")
+}
+
+/**
+ * Creates the resolver of a secret-directory (see ConfigUpdater.registerSecretDir()).
+ *
+ * The repository of the resolver is the path of the directory. Entries \
+ * that start with a `.` (e.g. the `..data`-links of Kubernetes) are ignored.
+ * @param {object} [options={}]
+ * @param {string} [options.naming]        Converts every segment of the key to a file-name (`kebab`, `camel`, `snake`, `SCREAMING_SNAKE`)
+ * @param {string} [options.encoding="utf8"] Encoding of the files
+ * @returns {function(string, string[]): any} The resolver. It throws a CuError if a key leaves the directory (`..`, `/` or `\`)
+ * @throws CuError  If the naming-convention is unknown
+ */
+function createSecretDirResolver(options = {}) {
+    const { naming, encoding = "utf8" } = options
+    if (naming !== undefined && !NAMING_CONVENTIONS.hasOwnProperty(naming))
+        throw new CuError(
+            `Unknown naming-convention "${naming}" (${Object.keys(
+                NAMING_CONVENTIONS
+            ).join(", ")})`
+        )
+    const convert = (segment) =>
+        naming ? convertName(segment, naming) : segment
+
+    return (dir, splitSearchKey) => {
+        const segments = splitSearchKey.map(convert)
+        // The key must not leave the directory
+        if (
+            segments.some((segment) => segment == ".." || /[/\\]/.test(segment))
+        )
+            throw new CuError(
+                `Invalid key "${splitSearchKey.join(
+                    "/"
+                )}" of the secret-directory "${dir}"`
+            )
+        // Hidden entries and empty segments aren't secrets of the directory
+        if (!segments.every(isFileName)) return undefined
+        return readEntry(nodePath.join(dir, ...segments), encoding)
+    }
+}
+
+/**
+ * @param {string} segment  A segment of a key
+ * @returns {boolean} `true` if it's the name of a visible file in the directory
+ */
+function isFileName(segment) {
+    return (
+        Boolean(segment) && !segment.startsWith(".") && !/[/\\]/.test(segment)
+    )
+}
+
+/**
+ * Reads a file or the tree of all files of a directory.
+ * @param {string} path
+ * @param {string} encoding
+ * @returns {string|object|undefined} The content, the tree or `undefined` if the entry doesn't exist
+ */
+function readEntry(path, encoding) {
+    let stats
+    try {
+        stats = fs.statSync(path)
+    } catch (error) {
+        if (error.code == "ENOENT" || error.code == "ENOTDIR") return undefined
+        throw new CuError(`Can't read "${path}": ${error.message}`)
+    }
+    if (!stats.isDirectory()) return readSecretFile(path, encoding)
+    const tree = {}
+    for (const name of fs.readdirSync(path).sort()) {
+        if (!isFileName(name)) continue
+        const value = readEntry(nodePath.join(path, name), encoding)
+        if (value !== undefined) tree[name] = value
+    }
+    return tree
+}
+
+module.exports = {
+    createSecretDirResolver,
+    readSecretFile,
+}
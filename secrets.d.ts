@@ -0,0 +1,42 @@
+/** Replacement of secret values */
+export const SECRET_MASK: "******";
+/**
+ * The secret properties of updated configs.
+ */
+export class SecretRegistry {
+    /**
+     * Marks a property as secret.
+     * @param {object|Array} parent  The object that holds the property
+     * @param {string|number} key    The property-name or array-index
+     */
+    add(parent: object | any[], key: string | number): void;
+    /**
+     * Removes the secret-mark of a property.
+     * @param {object|Array} parent  The object that holds the property
+     * @param {string|number} key    The property-name or array-index
+     */
+    delete(parent: object | any[], key: string | number): void;
+    /**
+     * @param {object|Array} parent  The object that holds the property
+     * @param {string|number} key    The property-name or array-index
+     * @returns {boolean} `true` if the property is secret
+     */
+    has(parent: object | any[], key: string | number): boolean;
+    /**
+     * Returns a copy of the config with all secret values replaced by SECRET_MASK.
+     *
+     * Plain objects and arrays are copied, all other values (class-instances
+     * like `URL`) are taken over. The config itself isn't changed.
+     * @param {any} config  An updated config (or a sub-tree of it)
+     * @returns {any} The redacted copy
+     */
+    redact(config: any): any;
+    #private;
+}
+/**
+ * Replaces every occurrence of a secret value in a text (e.g. an error-message).
+ * @param {string} text
+ * @param {any} value  The secret value. `undefined` and empty values are ignored
+ * @returns {string} The text without the value
+ */
+export function maskSecret(text: string, value: any): string;
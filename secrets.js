@@ -0,0 +1,105 @@
+"use strict"
+
+/**
+ * Secret-masking of the Config-Updater.
+ *
+ * updateConfig() remembers which properties got a secret value (a macro with
+ * `$secret`, a value of a secret repository or a decrypted value). The
+ * properties are stored per parent-object, so every sub-tree of an updated
+ * config can be redacted as well.
+ *
+ * @license MIT
+ * @author Thomas von Stetten.
+ */
+
+// @ts-check   Enable TypeScript Type checking in VScode Editor
+
+const { isContainer } = require("./objects")
+
+/** Replacement of secret values */
+const SECRET_MASK = "******"
+
+/**
+ * The secret properties of updated configs.
+ */
+class SecretRegistry {
+    // parent-object => Set of property-names/array-indices
+    #properties = new WeakMap()
+
+    /**
+     * Marks a property as secret.
+     * @param {object|Array} parent  The object that holds the property
+     * @param {string|number} key    The property-name or array-index
+     */
+    add(parent, key) {
+        let keys = this.#properties.get(parent)
+        if (!keys) this.#properties.set(parent, (keys = new Set()))
+        keys.add(key)
+    }
+
+    /**
+     * Removes the secret-mark of a property.
+     * @param {object|Array} parent  The object that holds the property
+     * @param {string|number} key    The property-name or array-index
+     */
+    delete(parent, key) {
+        const keys = this.#properties.get(parent)
+        if (keys) keys.delete(key)
+    }
+
+    /**
+     * @param {object|Array} parent  The object that holds the property
+     * @param {string|number} key    The property-name or array-index
+     * @returns {boolean} `true` if the property is secret
+     */
+    has(parent, key) {
+        const keys = this.#properties.get(parent)
+        return Boolean(keys && keys.has(key))
+    }
+
+    /**
+     * Returns a copy of the config with all secret values replaced by SECRET_MASK.
+     *
+     * Plain objects and arrays are copied, all other values (class-instances \
+     * like `URL`) are taken over. The config itself isn't changed.
+     * @param {any} config  An updated config (or a sub-tree of it)
+     * @returns {any} The redacted copy
+     */
+    redact(config) {
+        const copies = new Map() // handles recursive structures
+        const redact = (value) => {
+            if (!isContainer(value)) return value
+            if (copies.has(value)) return copies.get(value)
+            const copy = Array.isArray(value) ? [] : {}
+            copies.set(value, copy)
+            for (const key of Array.isArray(value)
+                ? value.keys()
+                : Object.keys(value)) {
+                copy[key] = this.has(value, key)
+                    ? SECRET_MASK
+                    : redact(value[key])
+            }
+            return copy
+        }
+        return redact(config)
+    }
+}
+
+/**
+ * Replaces every occurrence of a secret value in a text (e.g. an error-message).
+ * @param {string} text
+ * @param {any} value  The secret value. `undefined` and empty values are ignored
+ * @returns {string} The text without the value
+ */
+function maskSecret(text, value) {
+    if (value == undefined) return text
+    const secret =
+        typeof value == "object" ? JSON.stringify(value) : String(value)
+    return secret ? text.split(secret).join(SECRET_MASK) : text
+}
+
+module.exports = {
+    SECRET_MASK,
+    SecretRegistry,
+    maskSecret,
+}
@@ -0,0 +1,126 @@
+const { assert } = require("chai")
+
+const { parseArgv, readArgv } = require("../argv")
+const { CuError } = require("../errors")
+const { createConfigUpdater, cmf } = require("../index")
+
+describe("Argv", function () {
+    describe("parseArgv()", function () {
+        it("Values, flags and negations", function () {
+            assert.deepEqual(
+                parseArgv([
+                    "--db.host=x",
+                    "--db-port",
+                    "5432",
+                    "--no-cache",
+                    "--verbose",
+                    "--offset",
+                    "-5",
+                    "--empty=",
+                    "--url=http://a?b=c",
+                    "--last",
+                ]),
+                {
+                    db: { host: "x" },
+                    "db-port": "5432",
+                    cache: false,
+                    verbose: true,
+                    offset: "-5",
+                    empty: "",
+                    url: "http://a?b=c",
+                    last: true,
+                }
+            )
+        })
+        it("Repeated options become arrays", function () {
+            assert.deepEqual(
+                parseArgv([
+                    "--tag",
+                    "a",
+                    "--tag=b",
+                    "--tag",
+                    "c",
+                    "--x.y",
+                    "1",
+                    "--x.y=2",
+                ]),
+                { tag: ["a", "b", "c"], x: { y: ["1", "2"] } }
+            )
+        })
+        it("Other arguments and everything after -- are ignored", function () {
+            assert.deepEqual(
+                parseArgv(["file.txt", "-v", "--a", "-b", "--", "--c=1"]),
+                { a: true }
+            )
+        })
+        it("Prefix and separator", function () {
+            assert.deepEqual(
+                parseArgv(["--app-db__host=x", "--other=1", "--app-flag"], {
+                    prefix: "--app-",
+                    separator: "__",
+                }),
+                { db: { host: "x" }, flag: true }
+            )
+            assert.deepEqual(parseArgv(["--db.host=x"], { separator: "" }), {
+                "db.host": "x",
+            })
+            assert.throws(() => parseArgv([], { prefix: "" }), CuError)
+        })
+        it("Conflicts and unsafe names", function () {
+            assert.throws(
+                () => parseArgv(["--db=x", "--db.host=y"]),
+                CuError,
+                'The argument "--db.host=y" conflicts with another argument'
+            )
+            assert.throws(
+                () => parseArgv(["--db.host=y", "--db=x"]),
+                CuError,
+                "conflicts"
+            )
+            assert.throws(
+                () => parseArgv(["--__proto__.polluted=1"]),
+                CuError,
+                "Invalid argument"
+            )
+            assert.equal({}.polluted, undefined)
+            assert.deepEqual(parseArgv(["--toString=x"]), { toString: "x" })
+        })
+    })
+    it("readArgv() reads a slice of the arguments", function () {
+        const argv = ["node", "app.js", "--a=1", "--b=2", "--c=3"]
+        assert.deepEqual(readArgv({ argv }), { a: "1", b: "2", c: "3" })
+        assert.deepEqual(readArgv({ argv, start: 3, end: 4 }), { b: "2" })
+    })
+    it("registerArgv() overrides the other repositories", function () {
+        const updater = createConfigUpdater({ env: false })
+        updater.register("file", { db: { host: "file", port: "1" } })
+        updater.registerArgv("argv", {
+            argv: [
+                "node",
+                "app.js",
+                "--db.host=argv",
+                "--db.max-connections",
+                "5",
+            ],
+        })
+        updater.registerArgv("kebab", {
+            argv: ["--db.max-connections", "7"],
+            start: 0,
+            naming: "kebab",
+            index: 1,
+        })
+        assert.deepEqual(updater.getRepositoryNames(), [
+            "argv",
+            "kebab",
+            "file",
+        ])
+        assert.deepEqual(
+            updater.updateConfig({
+                host: cmf("db/host"),
+                port: cmf("db/port").type("integer"),
+                max: cmf("db/maxConnections").type("integer"),
+            }),
+            { host: "argv", port: 1, max: 7 }
+        )
+    })
+})
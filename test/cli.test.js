@@ -0,0 +1,188 @@
+const { assert } = require("chai")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+const { main, parseArgs, formatEnv } = require("../cli")
+const { CuError } = require("../errors")
+
+describe("CLI", function () {
+    let dir
+    const write = (name, content) => {
+        const fileName = path.join(dir, name)
+        fs.writeFileSync(
+            fileName,
+            typeof content == "string" ? content : JSON.stringify(content)
+        )
+        return fileName
+    }
+    const run = (...args) => {
+        const output = { stdout: "", stderr: "" }
+        const stream = (name) => ({
+            write: (text) => (output[name] += text),
+        })
+        output.code = main(args, {
+            stdout: stream("stdout"),
+            stderr: stream("stderr"),
+        })
+        return output
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "cu-cli-"))
+    })
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true })
+        delete process.env.CU_CLI_HOST
+    })
+
+    describe("parseArgs()", function () {
+        it("Options and template", function () {
+            const options = parseArgs([
+                "-e",
+                ".env",
+                "--file",
+                "a.yaml",
+                "--profile",
+                "prod",
+                "--no-env",
+                "--format",
+                "env",
+                "--check",
+                "-i",
+                "config.json",
+            ])
+            assert.deepEqual(options, {
+                template: "config.json",
+                files: [
+                    { fileName: ".env", format: "env" },
+                    { fileName: "a.yaml" },
+                ],
+                profile: "prod",
+                interpolate: true,
+                env: false,
+                format: "env",
+                check: true,
+                help: false,
+            })
+        })
+        it("Invalid arguments", function () {
+            assert.throws(() => parseArgs([]), CuError, "template is missing")
+            assert.throws(() => parseArgs(["a", "b"]), CuError, "Only one")
+            assert.throws(() => parseArgs(["-x", "a"]), CuError, '"-x"')
+            assert.throws(() => parseArgs(["a", "--file"]), CuError, "value")
+            assert.throws(
+                () => parseArgs(["a", "--format", "xml"]),
+                CuError,
+                'Unknown format "xml"'
+            )
+        })
+    })
+
+    it("formatEnv()", function () {
+        assert.equal(
+            formatEnv({
+                db: { host: "localhost", maxConnections: 5, ssl: true },
+                servers: ["a b", 'say "hi"'],
+                empty: null,
+            }),
+            [
+                "DB__HOST=localhost",
+                "DB__MAX_CONNECTIONS=5",
+                "DB__SSL=true",
+                'SERVERS__0="a b"',
+                'SERVERS__1="say \\"hi\\""',
+                "EMPTY=",
+            ].join("\n")
+        )
+    })
+
+    it("Prints the resolved config with masked secrets", function () {
+        process.env.CU_CLI_HOST = "env-host"
+        const template = write("config.json", {
+            host: { $$: "CU_CLI_HOST" },
+            port: { $$: "PORT", $type: "integer" },
+            password: { $$: "PASSWORD", $secret: true },
+            user: { $$: "USER_NAME", $default: "admin" },
+        })
+        const envFile = write("test.env", "PORT=8080\nPASSWORD=s3cret\n")
+        const jsonFile = write("repo.json", { PORT: 1, USER_NAME: "json" })
+        const result = run("-e", envFile, "-f", jsonFile, template)
+        assert.equal(result.code, 0, result.stderr)
+        assert.deepEqual(JSON.parse(result.stdout), {
+            host: "env-host",
+            port: 8080,
+            password: "******",
+            user: "json",
+        })
+
+        const env = run("--no-env", "--format", "env", "-e", envFile, template)
+        assert.equal(env.code, 0, env.stderr)
+        assert.equal(env.stdout, "PORT=8080\nPASSWORD=******\nUSER=admin\n")
+    })
+    it("JS-templates and profiles", function () {
+        const template = write(
+            "config.js",
+            `const { cmf } = require(${JSON.stringify(
+                path.resolve(__dirname, "../index")
+            )})
+module.exports = {
+    url: "http://\${HOST}",
+    pool: 5,
+    $profiles: { production: { pool: cmf("POOL").type("integer") } },
+}`
+        )
+        const envFile = write(".env", "HOST=example.com\nPOOL=50")
+        const result = run(
+            "--no-env",
+            "-e",
+            envFile,
+            "-i",
+            "-p",
+            "production",
+            template
+        )
+        assert.equal(result.code, 0, result.stderr)
+        assert.deepEqual(JSON.parse(result.stdout), {
+            url: "http://example.com",
+            pool: 50,
+        })
+    })
+    it("--check lists every failing macro", function () {
+        const template = write("config.json", {
+            host: { $$: "HOST", $mandatory: true },
+            db: { user: { $$: "DB_USER", $mandatory: true } },
+            port: { $$: "PORT", $type: "integer" },
+            ok: { $$: "OK" },
+        })
+        const envFile = write("test.env", "PORT=no-number\nOK=1")
+        const result = run("--no-env", "--check", "-e", envFile, template)
+        assert.equal(result.code, 1)
+        assert.equal(result.stdout, "")
+        const lines = result.stderr.trim().split("\n")
+        assert.equal(lines[0], "config-updater: 3 failing macro(s):")
+        assert.include(lines[1], '"host" is mandatory')
+        assert.include(lines[2], '"db/user" is mandatory')
+        assert.include(lines[3], "can't convert")
+
+        fs.writeFileSync(envFile, "PORT=1\nHOST=h\nDB_USER=u")
+        const ok = run("--no-env", "--check", "-e", envFile, template)
+        assert.deepEqual(ok, { stdout: "", stderr: "", code: 0 })
+    })
+    it("Exit-codes of invalid arguments and files", function () {
+        const usage = run("--format")
+        assert.equal(usage.code, 2)
+        assert.include(usage.stderr, "Usage: config-updater")
+        assert.include(run("--help").stdout, "Usage: config-updater")
+        assert.equal(run("--help").code, 0)
+
+        const missing = run(path.join(dir, "missing.json"))
+        assert.equal(missing.code, 1)
+        assert.include(missing.stderr, "Can't read file")
+
+        const invalid = write("invalid.json", '{\n  "a": \n}')
+        const syntax = run(invalid)
+        assert.equal(syntax.code, 1)
+        assert.include(syntax.stderr, "invalid.json")
+    })
+})
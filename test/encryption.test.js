@@ -0,0 +1,97 @@
+const { expect, assert } = require("chai")
+const crypto = require("crypto")
+
+const {
+    decryptValue,
+    encryptValue,
+    isEncrypted,
+    parseEncrypted,
+    toKey,
+} = require("../encryption")
+const { CuError } = require("../errors")
+
+describe("Encryption", function () {
+    const key = crypto.randomBytes(32)
+
+    it("encryptValue() / decryptValue() round-trip", function () {
+        const encrypted = encryptValue("secret ✓", key)
+        assert(isEncrypted(encrypted))
+        assert(encrypted.startsWith("enc:v1:aes-256-gcm:default:"))
+        assert.equal(decryptValue(encrypted, key), "secret ✓")
+        // random iv => different ciphertexts
+        assert.notEqual(encryptValue("secret ✓", key), encrypted)
+    })
+    it("Key-material as hex, base64 or passphrase", function () {
+        for (const material of [
+            key.toString("hex"),
+            key.toString("base64"),
+            "a passphrase",
+        ]) {
+            assert.equal(
+                decryptValue(encryptValue(123, material), material),
+                "123"
+            )
+        }
+        expect(() => encryptValue("x", Buffer.alloc(5))).to.throw(CuError)
+        expect(() => encryptValue("x", "")).to.throw(CuError)
+    })
+    it("Passphrases are salted per value", function () {
+        const a = parseEncrypted(encryptValue("x", "pw"))
+        const b = parseEncrypted(encryptValue("x", "pw"))
+        assert.equal(a.salt.length, 16)
+        assert.notDeepEqual(a.salt, b.salt)
+        assert.notDeepEqual(
+            toKey("pw", "aes-256-gcm", a.salt),
+            toKey("pw", "aes-256-gcm", b.salt)
+        )
+        assert.deepEqual(
+            toKey("pw", "aes-256-gcm", a.salt),
+            toKey("pw", "aes-256-gcm", a.salt)
+        )
+        expect(() => toKey("pw", "aes-256-gcm", Buffer.alloc(0))).to.throw(
+            CuError,
+            "salt"
+        )
+        // a modified salt => another key
+        const encrypted = encryptValue("secret", "pw").split(":")
+        encrypted[4] = crypto.randomBytes(16).toString("base64url")
+        expect(() => decryptValue(encrypted.join(":"), "pw")).to.throw(
+            CuError,
+            "wrong key"
+        )
+    })
+    it("Algorithm and key-name options", function () {
+        const encrypted = encryptValue("x", "pw", {
+            algorithm: "aes-128-gcm",
+            keyName: "ops",
+        })
+        const parsed = parseEncrypted(encrypted)
+        assert.equal(parsed.algorithm, "aes-128-gcm")
+        assert.equal(parsed.keyName, "ops")
+        assert.equal(decryptValue(encrypted, "pw"), "x")
+        expect(() => encryptValue("x", key, { algorithm: "des" })).to.throw(
+            CuError
+        )
+        expect(() => encryptValue("x", key, { keyName: "a:b" })).to.throw(
+            CuError
+        )
+    })
+    it("Wrong keys, modified and invalid values throw CuErrors", function () {
+        const encrypted = encryptValue("secret", key)
+        expect(() => decryptValue(encrypted, crypto.randomBytes(32))).to.throw(
+            CuError,
+            "wrong key"
+        )
+        const parts = encrypted.split(":")
+        parts[7] = Buffer.from("other").toString("base64url")
+        expect(() => decryptValue(parts.join(":"), key)).to.throw(CuError)
+        // shortened auth-tag
+        parts[6] = parts[6].substring(0, 8)
+        expect(() => decryptValue(parts.join(":"), key)).to.throw(
+            CuError,
+            "Invalid"
+        )
+        expect(() => decryptValue("enc:v1:x", key)).to.throw(CuError)
+        expect(() => decryptValue("plain", key)).to.throw(CuError)
+    })
+})
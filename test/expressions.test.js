@@ -0,0 +1,166 @@
+const { assert } = require("chai")
+
+const {
+    EXPRESSION_FUNCTIONS,
+    evaluateExpression,
+    expressionKeys,
+    parseExpression,
+} = require("../expressions")
+const { CuError } = require("../errors")
+
+/** Evaluates an expression synchronously with the values of `repository` */
+function evaluate(text, repository = {}) {
+    const generator = evaluateExpression(
+        parseExpression(text, ["a", "b"]),
+        function* (key) {
+            return repository[key]
+        },
+        ["a", "b"]
+    )
+    let step = generator.next()
+    while (!step.done) step = generator.next(step.value)
+    return step.value
+}
+
+describe("Expressions", function () {
+    const repository = {
+        PORT: "8080",
+        HOST: "localhost",
+        MAX_MB: "2",
+        ZIP: "01234",
+        EMPTY: "",
+        "db/host": "db.local",
+        TAGS: "a, b ,c",
+    }
+    it("Literals, keys and operators", function () {
+        for (const [text, expected] of [
+            ["42", 42],
+            ["1.5e2", 150],
+            ["'single' + \"double\"", "singledouble"],
+            ['"say \\"hi\\"\\n"', 'say "hi"\n'],
+            ["true", true],
+            ["null", null],
+            ["PORT + 1", 8081],
+            ['HOST + ":" + PORT', "localhost:8080"],
+            ["MAX_MB * 1024 * 1024", 2097152],
+            ['"id-" + ZIP', "id-01234"],
+            ["ZIP + 1", "012341"],
+            ["db.host", "db.local"],
+            ["-(PORT - 80) / 2 % 7", -3],
+            ["7 % 3 + 10 / 4", 3.5],
+            ['EMPTY || "fallback"', "fallback"],
+            ['EMPTY ?? "fallback"', ""],
+            ['MISSING ?? "fallback"', "fallback"],
+            ["HOST && PORT", 8080],
+            ["!EMPTY", true],
+            ['PORT > 1024 ? "user" : "root"', "user"],
+            ["PORT <= 80 || PORT == 8080", true],
+            ['HOST != "localhost"', false],
+            ["1 < 2 == true", true],
+            ["true ? 1 : false ? 2 : 3", 1],
+            ["MISSING + 1", undefined],
+            ["-MISSING", undefined],
+            ["MISSING == undefined", true],
+        ]) {
+            assert.deepEqual(evaluate(text, repository), expected, text)
+        }
+    })
+    it("Functions", function () {
+        for (const [text, expected] of [
+            ["upper(HOST)", "LOCALHOST"],
+            ['lower("ABC")', "abc"],
+            ["split(TAGS)", ["a", "b", "c"]],
+            ['join(split(TAGS), ";")', "a;b;c"],
+            ['split("a|b", "|")', ["a", "b"]],
+            ['int("42") + int(3.9)', 45],
+            ['bool("yes") && !bool("0")', true],
+            ["upper(MISSING)", undefined],
+        ]) {
+            assert.deepEqual(evaluate(text, repository), expected, text)
+        }
+        assert.throws(
+            () => evaluate("join(HOST)", repository),
+            CuError,
+            'Property "a/b": join() needs a list'
+        )
+        assert.throws(
+            () => evaluate("int(HOST)", repository),
+            CuError,
+            `can't convert "localhost" to integer`
+        )
+        assert.hasAllKeys(EXPRESSION_FUNCTIONS, [
+            "lower",
+            "upper",
+            "split",
+            "join",
+            "int",
+            "bool",
+        ])
+    })
+    it("Only the operands that are needed are evaluated", function () {
+        const lookups = []
+        const generator = evaluateExpression(
+            parseExpression("A || B ? C : D && E", []),
+            function* (key) {
+                lookups.push(key)
+                return key == "A" ? 1 : undefined
+            },
+            []
+        )
+        for (let step = generator.next(); !step.done; )
+            step = generator.next(step.value)
+        assert.deepEqual(lookups, ["A", "C"])
+    })
+    it("Syntax-errors with the column", function () {
+        for (const [text, message] of [
+            ["PORT +", "Unexpected end at column 7"],
+            ["1 2", 'Unexpected "2" at column 3'],
+            ["(1", "Unexpected end at column 3"],
+            ["a ? b", "Unexpected end at column 6"],
+            ["a # b", 'Unexpected "#" at column 3'],
+            ['"open', "Unterminated string at column 1"],
+            ["eval(1)", 'Unknown function "eval" at column 1'],
+            ["constructor(1)", 'Unknown function "constructor"'],
+            ["f(1,)", 'Unknown function "f"'],
+            ["lower(1,)", 'Unexpected ")" at column 9'],
+            ["", 'Invalid expression ""'],
+        ]) {
+            assert.throws(
+                () => parseExpression(text, ["a", "b"]),
+                CuError,
+                message,
+                text
+            )
+        }
+        assert.throws(
+            () => parseExpression("1 +", ["db", "port"]),
+            CuError,
+            'Property "db/port": Unexpected end at column 4 of the expression "1 +"'
+        )
+    })
+    it("Invalid operands", function () {
+        assert.throws(
+            () => evaluate("HOST - 1", repository),
+            CuError,
+            'Property "a/b": "-" needs numbers ("localhost") (column 6)'
+        )
+        assert.throws(
+            () => evaluate("-HOST", repository),
+            CuError,
+            '"-" needs a number'
+        )
+        assert.throws(
+            () => evaluate("PORT / (MAX_MB - 2)", repository),
+            CuError,
+            "Division by zero"
+        )
+    })
+    it("expressionKeys()", function () {
+        assert.deepEqual(
+            expressionKeys(
+                parseExpression("A + b.c * (A ? D : lower(E)) || true", [])
+            ),
+            ["A", "b/c", "D", "E"]
+        )
+    })
+})
@@ -0,0 +1,202 @@
+const { assert } = require("chai")
+const http = require("http")
+
+const { createHttpKvResolver } = require("../httpkv")
+const { CuError } = require("../errors")
+const { createConfigUpdater, cmf } = require("../index")
+
+describe("HTTP key-value stores", function () {
+    let server
+    let baseUrl
+    // path => function(req, res) | {status, body}
+    let routes
+    let requests
+    // Open connections (`server.closeAllConnections()` needs Node 18.2)
+    const sockets = new Set()
+
+    before((done) => {
+        server = http.createServer((req, res) => {
+            requests.push({ url: req.url, headers: req.headers })
+            const route = routes[req.url]
+            if (typeof route == "function") return route(req, res)
+            const { status = 404, body = {} } = route || {}
+            res.writeHead(status, { "Content-Type": "application/json" })
+            res.end(typeof body == "string" ? body : JSON.stringify(body))
+        })
+        server.on("connection", (socket) => {
+            sockets.add(socket)
+            socket.on("close", () => sockets.delete(socket))
+        })
+        server.listen(0, "127.0.0.1", () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`
+            done()
+        })
+    })
+    after((done) => {
+        for (const socket of sockets) socket.destroy()
+        server.close(done)
+    })
+    beforeEach(() => {
+        routes = {}
+        requests = []
+    })
+
+    it("Vault KV v2: the last segment is the field", async function () {
+        routes["/v1/secret/data/app/db"] = {
+            status: 200,
+            body: { data: { data: { user: "admin", password: "s3cret" } } },
+        }
+        const updater = createConfigUpdater({ env: false })
+        updater.registerHttpKv("vault", `${baseUrl}/v1/secret/data/`, {
+            format: "vault",
+            token: "t0ken",
+        })
+        const config = await updater.updateConfigAsync({
+            user: cmf("app/db/user"),
+            password: cmf("app/db/password").mandatory(true),
+            db: cmf("app/db"),
+            port: cmf("app/db/port").default(5432),
+        })
+        assert.deepEqual(config, {
+            user: "admin",
+            password: "s3cret",
+            db: { user: "admin", password: "s3cret" },
+            port: 5432,
+        })
+        // One request for all fields of the secret (cache)
+        assert.deepEqual(
+            requests.map((request) => request.url),
+            [
+                "/v1/secret/data/app/db",
+                "/v1/secret/data/app",
+                "/v1/secret/data/app/db/port",
+            ]
+        )
+        assert.equal(requests[0].headers["x-vault-token"], "t0ken")
+        assert.deepEqual(updater.toRedacted(config).password, "******")
+    })
+    it("Consul KV: base64-values, custom headers and paths", async function () {
+        routes["/v1/kv/APP/DB_HOST"] = {
+            status: 200,
+            body: [{ Key: "APP/DB_HOST", Value: "ZGIubG9jYWw=" }],
+        }
+        routes["/v1/kv/APP/EMPTY"] = {
+            status: 200,
+            body: [{ Key: "APP/EMPTY", Value: null }],
+        }
+        const updater = createConfigUpdater({ env: false })
+        updater.registerHttpKv("consul", `${baseUrl}/v1/kv`, {
+            format: "consul",
+            token: "t0ken",
+            headers: { "X-Test": "1" },
+            mapPath: (segments) => "APP/" + segments.join("_").toUpperCase(),
+            secret: false,
+        })
+        assert.equal(await updater.getValueAsync("db/host"), "db.local")
+        assert.equal(await updater.getValueAsync("empty"), "")
+        assert.isUndefined(await updater.getValueAsync("missing"))
+        assert.equal(requests[0].headers["x-consul-token"], "t0ken")
+        assert.equal(requests[0].headers["x-test"], "1")
+    })
+    it("A 404 asks the next repository", async function () {
+        const updater = createConfigUpdater({ env: false })
+        updater.registerHttpKv("kv", baseUrl, { index: 0 })
+        updater.register("local", { HOST: "local" })
+        routes["/PORT"] = { status: 200, body: 8080 }
+        assert.deepEqual(
+            await updater.resolveConfigAsync({
+                host: cmf("HOST"),
+                port: cmf("PORT").type("integer"),
+            }),
+            { host: "local", port: 8080 }
+        )
+    })
+    it("Retries 5xx and network-errors", async function () {
+        let calls = 0
+        routes["/KEY"] = (req, res) => {
+            if (++calls < 3) {
+                res.writeHead(503)
+                return res.end()
+            }
+            res.end(JSON.stringify("value"))
+        }
+        const resolver = createHttpKvResolver({ retries: 2, retryDelay: 1 })
+        assert.equal(await resolver(baseUrl, ["KEY"]), "value")
+        assert.equal(calls, 3)
+
+        calls = 0
+        const noRetry = createHttpKvResolver({ retries: 1, retryDelay: 1 })
+        const error = await noRetry(baseUrl, ["KEY"]).catch((e) => e)
+        assert.instanceOf(error, CuError)
+        assert.include(error.message, `GET ${baseUrl}/KEY: HTTP 503`)
+        assert.equal(calls, 2)
+
+        // 4xx (except 404 and 429) aren't retried
+        routes["/DENIED"] = { status: 403 }
+        const denied = await noRetry(baseUrl, ["DENIED"]).catch((e) => e)
+        assert.include(denied.message, "HTTP 403")
+        assert.lengthOf(
+            requests.filter((request) => request.url == "/DENIED"),
+            1
+        )
+
+        const closed = createHttpKvResolver({ retries: 0 })
+        const refused = await closed("http://127.0.0.1:1", ["KEY"]).catch(
+            (e) => e
+        )
+        assert.instanceOf(refused, CuError)
+        assert.include(refused.message, "GET http://127.0.0.1:1/KEY")
+    })
+    it("Timeouts", async function () {
+        routes["/SLOW"] = () => {} // never answers
+        const resolver = createHttpKvResolver({ timeout: 50, retries: 0 })
+        const error = await resolver(baseUrl, ["SLOW"]).catch((e) => e)
+        assert.instanceOf(error, CuError)
+        assert.include(error.message, "Timeout after 50 ms")
+
+        // a server that sends a byte now and then
+        routes["/TRICKLE"] = (req, res) => {
+            res.writeHead(200)
+            const timer = setInterval(() => res.write(" "), 20)
+            res.on("close", () => clearInterval(timer))
+        }
+        const trickled = await resolver(baseUrl, ["TRICKLE"]).catch((e) => e)
+        assert.instanceOf(trickled, CuError)
+        assert.include(trickled.message, "Timeout after 50 ms")
+    })
+    it("Responses are cached for cacheTtl", async function () {
+        let value = "a"
+        routes["/KEY"] = (req, res) => res.end(JSON.stringify(value))
+        const resolver = createHttpKvResolver({ cacheTtl: 200 })
+        assert.equal(await resolver(baseUrl, ["KEY"]), "a")
+        value = "b"
+        assert.equal(await resolver(baseUrl, ["KEY"]), "a")
+        await new Promise((resolve) => setTimeout(resolve, 250))
+        assert.equal(await resolver(baseUrl, ["KEY"]), "b")
+
+        const uncached = createHttpKvResolver({ cacheTtl: 0 })
+        await Promise.all([
+            uncached(baseUrl, ["KEY"]),
+            uncached(baseUrl, ["KEY"]),
+        ])
+        assert.lengthOf(requests, 4)
+    })
+    it("Errors", async function () {
+        routes["/BAD"] = { status: 200, body: "{no json" }
+        const resolver = createHttpKvResolver({ retries: 0 })
+        const error = await resolver(baseUrl, ["BAD"]).catch((e) => e)
+        assert.instanceOf(error, CuError)
+        assert.include(error.message, "Invalid JSON")
+        assert.throws(
+            () => createHttpKvResolver({ format: "etcd" }),
+            CuError,
+            'Unknown KV-format "etcd"'
+        )
+        const updater = createConfigUpdater({ env: false })
+        assert.throws(
+            () => updater.registerHttpKv("kv", "ftp://host"),
+            CuError,
+            'Invalid URL "ftp://host"'
+        )
+    })
+})
@@ -0,0 +1,100 @@
+const { assert } = require("chai")
+
+const {
+    formatEnvExample,
+    formatEnvValue,
+    formatMarkdown,
+} = require("../inventory")
+const { CuError } = require("../errors")
+
+const KEYS = [
+    {
+        key: "DB_HOST",
+        paths: ["db/host"],
+        mandatory: true,
+        secret: false,
+        defaults: [{ key: "HOST" }, { value: "localhost" }],
+    },
+    {
+        key: "db/maxConnections",
+        paths: ["pool", "replica/pool"],
+        mandatory: false,
+        secret: false,
+        type: "integer",
+        defaults: [{ value: 10 }],
+    },
+    {
+        key: "DB_PASSWORD",
+        paths: ["db/password"],
+        mandatory: false,
+        secret: true,
+        defaults: [{ value: "s3cret" }],
+    },
+    {
+        key: "ALIAS",
+        paths: ["alias"],
+        mandatory: false,
+        secret: false,
+        defaults: [{ ref: "/db/host" }, { value: "a b|c" }],
+    },
+]
+
+describe("Inventory", function () {
+    it("formatEnvValue()", function () {
+        assert.equal(formatEnvValue("localhost"), "localhost")
+        assert.equal(formatEnvValue(5), "5")
+        assert.equal(formatEnvValue(null), "")
+        assert.equal(formatEnvValue(undefined), "")
+        assert.equal(formatEnvValue("a b"), '"a b"')
+        assert.equal(formatEnvValue({ a: 1 }), '"{\\"a\\":1}"')
+    })
+    it("formatEnvExample()", function () {
+        assert.equal(
+            formatEnvExample(KEYS),
+            [
+                "# db/host (mandatory)",
+                '# Default: HOST -> "localhost"',
+                "DB_HOST=",
+                "",
+                "# pool, replica/pool (integer)",
+                "# db__maxConnections=10",
+                "",
+                "# db/password (secret)",
+                "# DB_PASSWORD=******",
+                "",
+                "# alias",
+                '# Default: $ref /db/host -> "a b|c"',
+                "# ALIAS=",
+            ].join("\n")
+        )
+        const names = formatEnvExample(KEYS, {
+            prefix: "APP_",
+            separator: "__",
+            naming: "SCREAMING_SNAKE",
+        })
+        assert.include(names, "# APP_DB__MAX_CONNECTIONS=10")
+        assert.include(names, "# Default: APP_HOST ->")
+        assert.throws(
+            () => formatEnvExample(KEYS, { naming: "upper" }),
+            CuError,
+            'Unknown naming-convention "upper"'
+        )
+    })
+    it("formatMarkdown()", function () {
+        assert.equal(
+            formatMarkdown(KEYS),
+            [
+                "| Key | Paths | Mandatory | Type | Secret | Default |",
+                "| --- | --- | --- | --- | --- | --- |",
+                '| `DB_HOST` | `db/host` | yes |  |  | `HOST -> "localhost"` |',
+                "| `db/maxConnections` | `pool`, `replica/pool` |  | integer |  | `10` |",
+                "| `DB_PASSWORD` | `db/password` |  |  | yes | `******` |",
+                '| `ALIAS` | `alias` |  |  |  | `$ref /db/host -> "a b\\|c"` |',
+            ].join("\n")
+        )
+        assert.include(
+            formatMarkdown(KEYS, { naming: "kebab" }),
+            "| `db/max-connections` |"
+        )
+    })
+})
@@ -0,0 +1,115 @@
+const { expect, assert } = require("chai")
+
+const { convertName, createNamingResolver } = require("../naming")
+const { CuError } = require("../errors")
+
+describe("Naming", function () {
+    it("convertName()", function () {
+        for (const name of [
+            "maxConnections",
+            "max-connections",
+            "MAX_CONNECTIONS",
+            "max_connections",
+        ]) {
+            assert.equal(convertName(name, "kebab"), "max-connections")
+            assert.equal(convertName(name, "camel"), "maxConnections")
+            assert.equal(convertName(name, "snake"), "max_connections")
+            assert.equal(
+                convertName(name, "SCREAMING_SNAKE"),
+                "MAX_CONNECTIONS"
+            )
+        }
+        assert.equal(convertName("host", "SCREAMING_SNAKE"), "HOST")
+        assert.equal(convertName("tls2Enabled", "kebab"), "tls2-enabled")
+        assert.equal(convertName("_", "camel"), "_")
+    })
+    describe("createNamingResolver()", function () {
+        const env = {
+            APP__DB__HOST: "host",
+            APP__DB__MAX_CONNECTIONS: "10",
+            APP__DB__REPLICA__HOST: "replica",
+            APP__NAME: "name",
+            OTHER__DB__HOST: "other",
+        }
+        it("flat keys with prefix, separator and naming", function () {
+            const resolve = createNamingResolver({
+                prefix: "APP__",
+                separator: "__",
+                naming: "SCREAMING_SNAKE",
+            })
+            assert.equal(resolve(env, ["db", "host"]), "host")
+            assert.equal(resolve(env, ["db", "maxConnections"]), "10")
+            assert.equal(resolve(env, ["name"]), "name")
+            assert.equal(resolve(env, ["db", "port"]), undefined)
+            // a key without a value => tree
+            assert.deepEqual(resolve(env, ["db"]), {
+                host: "host",
+                maxConnections: "10",
+                replica: { host: "replica" },
+            })
+            assert.equal(resolve(env, ["unknown"]), undefined)
+        })
+        it("ignoreCase and trees without naming", function () {
+            const resolve = createNamingResolver({
+                separator: "__",
+                ignoreCase: true,
+            })
+            assert.equal(resolve(env, ["app", "db", "host"]), "host")
+            assert.deepEqual(resolve(env, ["other", "db"]), { HOST: "other" })
+            const exact = createNamingResolver({ separator: "__" })
+            assert.equal(exact(env, ["app", "db", "host"]), undefined)
+        })
+        it("nested repositories without separator", function () {
+            const resolve = createNamingResolver({
+                naming: "kebab",
+                ignoreCase: true,
+            })
+            const file = {
+                Database: {
+                    "max-connections": 5,
+                    "read-only": { enabled: true },
+                },
+            }
+            assert.equal(resolve(file, ["database", "maxConnections"]), 5)
+            assert.equal(
+                resolve(file, ["database", "readOnly", "enabled"]),
+                true
+            )
+            assert.equal(resolve(file, ["database", "unknown", "x"]), undefined)
+            const prefixed = createNamingResolver({
+                prefix: "x-",
+                naming: "kebab",
+            })
+            assert.equal(
+                prefixed({ "x-db": { host: "h" } }, ["db", "host"]),
+                "h"
+            )
+        })
+        it("Trees don't change the prototype", function () {
+            const resolve = createNamingResolver({
+                prefix: "APP.",
+                separator: ".",
+            })
+            const repository = {
+                "APP.x.__proto__.polluted": "yes",
+                "APP.x.constructor.name": "own",
+                "APP.x.host": "host",
+            }
+            assert.deepEqual(resolve(repository, ["x"]), {
+                constructor: { name: "own" },
+                host: "host",
+            })
+            assert.isUndefined({}.polluted)
+        })
+        it("invalid options throw CuErrors", function () {
+            expect(() => createNamingResolver({ naming: "pascal" })).to.throw(
+                CuError,
+                "kebab, camel, snake, SCREAMING_SNAKE"
+            )
+            expect(() => createNamingResolver({ separator: "" })).to.throw(
+                CuError
+            )
+            expect(() => createNamingResolver({ prefix: 1 })).to.throw(CuError)
+        })
+    })
+})
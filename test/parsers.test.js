@@ -0,0 +1,285 @@
+const { expect, assert } = require("chai")
+
+const { parseEnv, parseIni, parseJson, parseYaml } = require("../parsers")
+const { CuError } = require("../errors")
+
+describe("Parsers", function () {
+    describe("parseEnv()", function () {
+        it("Simple pairs, export-prefix, comments and empty lines", function () {
+            const result = parseEnv(
+                "# comment\n\nA=1\nexport B = two\n  # indented comment\nC=\n",
+                { env: null }
+            )
+            assert.deepEqual(result, { A: "1", B: "two", C: "" })
+        })
+        it("Inline comments only after whitespace in unquoted values", function () {
+            const result = parseEnv("A=value # comment\nB=a#b\nC=#", {
+                env: null,
+            })
+            assert.deepEqual(result, { A: "value", B: "a#b", C: "" })
+        })
+        it("Quoted values, escapes and multiline values", function () {
+            const result = parseEnv(
+                [
+                    `D="a\\nb\\t\\"c\\" \\\\"`,
+                    `S='a\\nb # no comment'`,
+                    `B=\`it's "quoted"\``,
+                    `M="line1`,
+                    `line2" # comment`,
+                    `W="  spaces  "`,
+                ].join("\r\n"),
+                { env: null }
+            )
+            assert.equal(result.D, 'a\nb\t"c" \\')
+            assert.equal(result.S, "a\\nb # no comment")
+            assert.equal(result.B, `it's "quoted"`)
+            assert.equal(result.M, "line1\nline2")
+            assert.equal(result.W, "  spaces  ")
+        })
+        it("Interpolation with ${VAR}, ${VAR:-default} and $VAR", function () {
+            const result = parseEnv(
+                [
+                    "HOST=localhost",
+                    "URL=http://${HOST}:${PORT:-80}/$PATHNAME",
+                    "FROM_ENV=${OUTER}",
+                    'QUOTED="${HOST}\\$HOST"',
+                    "SINGLE='${HOST}'",
+                    "ESCAPED=\\$HOST",
+                ].join("\n"),
+                { env: { OUTER: "outer", PATHNAME: "app" } }
+            )
+            assert.equal(result.URL, "http://localhost:80/app")
+            assert.equal(result.FROM_ENV, "outer")
+            assert.equal(result.QUOTED, "localhost$HOST")
+            assert.equal(result.SINGLE, "${HOST}")
+            assert.equal(result.ESCAPED, "$HOST")
+        })
+        it("Interpolation can be disabled", function () {
+            const result = parseEnv("A=1\nB=${A}", { interpolate: false })
+            assert.equal(result.B, "${A}")
+        })
+        it("Doesn't change process.env", function () {
+            parseEnv("CU_PARSE_ENV_TEST=1")
+            assert.equal(process.env.CU_PARSE_ENV_TEST, undefined)
+        })
+        it("Syntax-errors contain file-name and line", function () {
+            expect(() =>
+                parseEnv("A=1\nno assignment", { fileName: "test.env" })
+            ).to.throw(CuError, "test.env:2:")
+            expect(() =>
+                parseEnv('A=1\n\nB="unterminated', { fileName: "test.env" })
+            ).to.throw(CuError, "test.env:3:")
+            expect(() =>
+                parseEnv('A="x" y', { fileName: "test.env" })
+            ).to.throw(CuError, "test.env:1:")
+            expect(() => parseEnv("A=${B", { fileName: "test.env" })).to.throw(
+                CuError,
+                "test.env:1:"
+            )
+            // after values with several lines
+            const multiLine = "A=\"x\ny\"\n# comment\nB='1\n2'\nno assignment"
+            expect(() =>
+                parseEnv(multiLine, { fileName: "test.env" })
+            ).to.throw(CuError, "test.env:6:")
+            expect(() =>
+                parseEnv('A=1\nB="x\ny" z', { fileName: "test.env" })
+            ).to.throw(CuError, "test.env:3:")
+            expect(() =>
+                parseEnv('A=1\nB="x\ny\n${C', { fileName: "test.env" })
+            ).to.throw(CuError, "test.env:2:")
+        })
+    })
+    describe("parseJson()", function () {
+        it("Parses JSON like JSON.parse()", function () {
+            const text =
+                '{"a": [1, -2.5e3, {"b": null}], "c": "x\\n\\u0041", "d": true}'
+            assert.deepEqual(parseJson(text), JSON.parse(text))
+            assert.deepEqual(parseJson(" [] "), [])
+        })
+        it("Syntax-errors contain file-name and line", function () {
+            expect(() =>
+                parseJson('{\n  "a": 1,\n  "b": x\n}', { fileName: "f.json" })
+            ).to.throw(CuError, "f.json:3:")
+            expect(() =>
+                parseJson('{\n  "a": 1\n  "b": 2\n}', { fileName: "f.json" })
+            ).to.throw(CuError, "f.json:3:")
+            expect(() =>
+                parseJson('{"a": 1}\n\nx', { fileName: "f.json" })
+            ).to.throw(CuError, "f.json:3:")
+            expect(() => parseJson('{"a": 1', { fileName: "f.json" })).to.throw(
+                CuError,
+                "f.json:1:"
+            )
+        })
+    })
+    describe("parseIni()", function () {
+        it("Sections, nested sections, comments, quotes and arrays", function () {
+            const result = parseIni(
+                [
+                    "; comment",
+                    "top = 1",
+                    "[db]",
+                    'host = "localhost" ; comment',
+                    "port=5432 # comment",
+                    "password = 'a;b'",
+                    "[db.replica]",
+                    "host=replica",
+                    "hosts[] = a",
+                    "hosts[] = b",
+                ].join("\r\n")
+            )
+            assert.deepEqual(result, {
+                top: "1",
+                db: {
+                    host: "localhost",
+                    port: "5432",
+                    password: "a;b",
+                    replica: { host: "replica", hosts: ["a", "b"] },
+                },
+            })
+        })
+        it("Syntax-errors contain file-name and line", function () {
+            expect(() => parseIni("[db\nx=1", { fileName: "f.ini" })).to.throw(
+                CuError,
+                "f.ini:1:"
+            )
+            expect(() =>
+                parseIni("a=1\n\nno value", { fileName: "f.ini" })
+            ).to.throw(CuError, "f.ini:3:")
+            expect(() => parseIni('a="x', { fileName: "f.ini" })).to.throw(
+                CuError,
+                "f.ini:1:"
+            )
+        })
+    })
+    describe("parseYaml()", function () {
+        it("Mappings, sequences and scalars", function () {
+            const result = parseYaml(
+                [
+                    "# comment",
+                    "---",
+                    "db:",
+                    "  host: localhost # comment",
+                    "  port: 5432",
+                    "  url: http://host:80/path",
+                    "  ssl: false",
+                    "  pool: ~",
+                    "servers:",
+                    "- name: a",
+                    "  port: 1",
+                    "- b",
+                    "- - nested",
+                    "  - list",
+                    'quoted: "a\\tb # no comment"',
+                    "single: 'it''s'",
+                    "flow: [1, two, {three: 3}]",
+                    "empty: {}",
+                ].join("\n")
+            )
+            assert.deepEqual(result, {
+                db: {
+                    host: "localhost",
+                    port: 5432,
+                    url: "http://host:80/path",
+                    ssl: false,
+                    pool: null,
+                },
+                servers: [{ name: "a", port: 1 }, "b", ["nested", "list"]],
+                quoted: "a\tb # no comment",
+                single: "it's",
+                flow: [1, "two", { three: 3 }],
+                empty: {},
+            })
+        })
+        it("Block-scalars", function () {
+            const result = parseYaml(
+                [
+                    "literal: |",
+                    "  line1",
+                    "    indented",
+                    "",
+                    "folded: >-",
+                    "  a",
+                    "  b",
+                    "",
+                    "  c",
+                    "last: x",
+                ].join("\n")
+            )
+            assert.equal(result.literal, "line1\n  indented\n")
+            assert.equal(result.folded, "a b\nc")
+            assert.equal(result.last, "x")
+        })
+        it("Empty document", function () {
+            assert.equal(parseYaml("# only a comment\n"), null)
+        })
+        it("Syntax-errors contain file-name and line", function () {
+            expect(() =>
+                parseYaml("a: 1\n  b: 2", { fileName: "f.yaml" })
+            ).to.throw(CuError, "f.yaml:2:")
+            expect(() =>
+                parseYaml("a:\n  - x\n  y: 1", { fileName: "f.yaml" })
+            ).to.throw(CuError, "f.yaml:3:")
+            expect(() =>
+                parseYaml("a: 1\nb: &anchor 2", { fileName: "f.yaml" })
+            ).to.throw(CuError, "f.yaml:2:")
+            expect(() =>
+                parseYaml("a: 1\nno colon", { fileName: "f.yaml" })
+            ).to.throw(CuError, "f.yaml:2:")
+            expect(() =>
+                parseYaml("a:\n\tb: 1", { fileName: "f.yaml" })
+            ).to.throw(CuError, "f.yaml:2:")
+        })
+    })
+    describe("The key __proto__ is rejected", function () {
+        afterEach(() => {
+            delete Object.prototype.polluted
+        })
+        const rejects = (parse, text, line) => {
+            expect(() => parse(text, { fileName: "f" })).to.throw(
+                CuError,
+                `f:${line}: Invalid key`
+            )
+            assert.isUndefined({}.polluted)
+        }
+        it("parseEnv()", function () {
+            rejects(parseEnv, "A=1\n__proto__=x", 2)
+        })
+        it("parseJson()", function () {
+            rejects(parseJson, '{"__proto__": {"polluted": "yes"}}', 1)
+            rejects(parseJson, '{"a": {\n"__proto__": 1}}', 2)
+        })
+        it("parseIni()", function () {
+            rejects(parseIni, "[__proto__]\npolluted = yes\n", 1)
+            rejects(parseIni, "[a.__proto__]\npolluted = yes\n", 1)
+            rejects(parseIni, "a = 1\n__proto__ = x", 2)
+            rejects(parseIni, "__proto__[] = x", 1)
+        })
+        it("parseYaml()", function () {
+            rejects(parseYaml, "a: 1\n__proto__:\n  polluted: yes", 2)
+            rejects(parseYaml, "a: {__proto__: {polluted: yes}}", 1)
+        })
+        it("constructor and prototype are keys", function () {
+            assert.deepEqual(
+                parseEnv("constructor=x\nprototype=${constructor}"),
+                {
+                    constructor: "x",
+                    prototype: "x",
+                }
+            )
+            assert.deepEqual(parseJson('{"a": {"prototype": 1}}'), {
+                a: { prototype: 1 },
+            })
+            assert.deepEqual(
+                parseIni("constructor[] = x\n[a.constructor]\nprototype = 1"),
+                { constructor: ["x"], a: { constructor: { prototype: "1" } } }
+            )
+            assert.deepEqual(
+                parseYaml("constructor:\n  prototype: {constructor: 1}"),
+                {
+                    constructor: { prototype: { constructor: 1 } },
+                }
+            )
+        })
+    })
+})
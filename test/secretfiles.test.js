@@ -0,0 +1,233 @@
+const { assert } = require("chai")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+const { createSecretDirResolver, readSecretFile } = require("../secretfiles")
+const { CuError } = require("../errors")
+const { createConfigUpdater, cmf } = require("../index")
+
+describe("Secret-files", function () {
+    let dir
+    const write = (name, content) => {
+        const fileName = path.join(dir, name)
+        fs.mkdirSync(path.dirname(fileName), { recursive: true })
+        fs.writeFileSync(fileName, content)
+        return fileName
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "cu-secrets-"))
+    })
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it("readSecretFile() removes trailing newlines", function () {
+        assert.equal(readSecretFile(write("a", "s3cret\n")), "s3cret")
+        assert.equal(readSecretFile(write("b", " a\nb \r\n\n")), " a\nb ")
+        assert.equal(readSecretFile(write("c", "")), "")
+        assert.throws(
+            () => readSecretFile(path.join(dir, "missing")),
+            CuError,
+            "Can't read file"
+        )
+        assert.throws(() => readSecretFile(""), CuError, "Invalid secret-file")
+    })
+
+    describe("createSecretDirResolver()", function () {
+        it("Keys are files, nested keys are sub-directories", function () {
+            write("db_password", "pw\n")
+            write("db/user", "admin\n")
+            write("db/tls/key", "KEY")
+            write("db/.hidden", "x")
+            const resolve = createSecretDirResolver()
+            assert.equal(resolve(dir, ["db_password"]), "pw")
+            assert.equal(resolve(dir, ["db", "user"]), "admin")
+            assert.deepEqual(resolve(dir, ["db"]), {
+                tls: { key: "KEY" },
+                user: "admin",
+            })
+            assert.isUndefined(resolve(dir, ["missing"]))
+            assert.isUndefined(resolve(dir, ["db_password", "x"]))
+            assert.isUndefined(resolve(path.join(dir, "missing"), ["a"]))
+        })
+        it("Naming-conventions", function () {
+            write("db_password", "pw")
+            write("tls-key", "KEY")
+            assert.equal(
+                createSecretDirResolver({ naming: "snake" })(dir, [
+                    "DB_PASSWORD",
+                ]),
+                "pw"
+            )
+            assert.equal(
+                createSecretDirResolver({ naming: "kebab" })(dir, ["tlsKey"]),
+                "KEY"
+            )
+            assert.throws(
+                () => createSecretDirResolver({ naming: "pascal" }),
+                CuError,
+                'Unknown naming-convention "pascal"'
+            )
+        })
+        it("Keys can't leave the directory", function () {
+            const resolve = createSecretDirResolver()
+            for (const key of [[".."], ["a", ".."], ["a\\b"], ["a/b"]])
+                assert.throws(() => resolve(dir, key), CuError, "Invalid key")
+        })
+        it("Hidden entries and empty segments are missing keys", function () {
+            write(".hidden", "x")
+            write("db/password", "pw")
+            const updater = createConfigUpdater({ env: false })
+            updater.registerSecretDir("secrets", dir)
+            updater.register("values", { ".hidden": "value" })
+            assert.equal(updater.getValue(".hidden"), "value")
+            const resolve = createSecretDirResolver()
+            for (const key of [["."], [""], ["db", ""], [".hidden"]])
+                assert.isUndefined(resolve(dir, key))
+            assert.equal(resolve(dir, ["db", "password"]), "pw")
+        })
+    })
+
+    describe("registerSecretDir()", function () {
+        it("Resolves secrets from the directory", function () {
+            write("db_password", "s3cret\n")
+            write("api/token", "t0ken\n")
+            const updater = createConfigUpdater({ env: false })
+            updater.register("values", { db_password: "ignored" })
+            updater.registerSecretDir("secrets", dir, { index: 0 })
+            const config = updater.updateConfig({
+                password: cmf("db_password"),
+                api: cmf("api"),
+                user: cmf("db_user").default("admin"),
+            })
+            assert.deepEqual(config, {
+                password: "s3cret",
+                api: { token: "t0ken" },
+                user: "admin",
+            })
+            assert.deepEqual(updater.toRedacted(config), {
+                password: "******",
+                api: "******",
+                user: "admin",
+            })
+
+            // The files are read at every lookup
+            write("db_password", "rotated\n")
+            assert.equal(updater.getValue("db_password"), "rotated")
+        })
+        it("A missing directory", function () {
+            const updater = createConfigUpdater({ env: false })
+            const missing = path.join(dir, "missing")
+            assert.throws(
+                () => updater.registerSecretDir("secrets", missing),
+                CuError,
+                "doesn't exist"
+            )
+            updater.registerSecretDir("secrets", missing, { optional: true })
+            assert.isUndefined(updater.getValue("db_password"))
+            write("missing/db_password", "later")
+            assert.equal(updater.getValue("db_password"), "later")
+        })
+    })
+
+    describe("The option fileSuffix", function () {
+        it("<KEY>_FILE names the file of the value", function () {
+            const fileName = write("db_pw", "s3cret\n\n")
+            const updater = createConfigUpdater({ env: false })
+            updater.register(
+                "env",
+                {
+                    DB_PASSWORD_FILE: fileName,
+                    DB_USER: "admin",
+                    DB_USER_FILE: write("user", "ignored"),
+                },
+                0,
+                undefined,
+                { fileSuffix: "_FILE" }
+            )
+            const trace = updater.explain({
+                password: cmf("DB_PASSWORD"),
+                user: cmf("DB_USER"),
+                host: cmf("DB_HOST").default("localhost"),
+            })
+            assert.equal(trace.describe("password").file, fileName)
+            assert.isTrue(trace.describe("password").secret)
+            assert.isUndefined(trace.describe("user").file)
+            assert.include(trace.toString(), `from env (file ${fileName})`)
+
+            const config = updater.updateConfig({
+                password: cmf("DB_PASSWORD"),
+                user: cmf("DB_USER"),
+            })
+            assert.deepEqual(config, { password: "s3cret", user: "admin" })
+            assert.deepEqual(updater.toRedacted(config), {
+                password: "******",
+                user: "admin",
+            })
+        })
+        it("Works with naming-options and async resolvers", async function () {
+            const fileName = write("pw", "async\n")
+            const updater = createConfigUpdater({ env: false })
+            updater.register(
+                "env",
+                { APP__DB__PASSWORD_FILE: fileName },
+                0,
+                undefined,
+                {
+                    prefix: "APP__",
+                    separator: "__",
+                    naming: "SCREAMING_SNAKE",
+                    fileSuffix: "_FILE",
+                }
+            )
+            assert.equal(updater.getValue("db/password"), "async")
+            updater.register(
+                "async",
+                { DB_PASSWORD_FILE: fileName },
+                0,
+                async (repository, keys) => repository[keys.join("/")],
+                { fileSuffix: "_FILE" }
+            )
+            assert.deepEqual(
+                await updater.resolveConfigAsync({ pw: cmf("DB_PASSWORD") }),
+                { pw: "async" }
+            )
+        })
+        it("The env-repository with envOptions", function () {
+            process.env.CU_TEST_SECRET_FILE = write("env", "from-env\n")
+            try {
+                const updater = createConfigUpdater({
+                    envOptions: { fileSuffix: "_FILE" },
+                })
+                assert.equal(updater.getValue("CU_TEST_SECRET"), "from-env")
+            } finally {
+                delete process.env.CU_TEST_SECRET_FILE
+            }
+        })
+        it("Errors", function () {
+            const updater = createConfigUpdater({ env: false })
+            assert.throws(
+                () =>
+                    updater.register("env", {}, 0, undefined, {
+                        fileSuffix: "",
+                    }),
+                CuError,
+                'Invalid fileSuffix ""'
+            )
+            updater.register(
+                "env",
+                { DB_PASSWORD_FILE: path.join(dir, "missing") },
+                0,
+                undefined,
+                { fileSuffix: "_FILE" }
+            )
+            assert.throws(
+                () => updater.getValue("DB_PASSWORD"),
+                CuError,
+                "Can't read file"
+            )
+        })
+    })
+})
@@ -0,0 +1,96 @@
+const { expect, assert } = require("chai")
+
+const { TYPE_CONVERTERS, convertType, convertValue } = require("../types")
+const { CuError } = require("../errors")
+
+describe("Types", function () {
+    describe("convertValue()", function () {
+        it("undefined and null stay unchanged", function () {
+            assert.equal(convertValue(undefined, "integer"), undefined)
+            assert.equal(convertValue(null, "integer"), null)
+        })
+        it("number and integer", function () {
+            assert.strictEqual(convertValue(" 1.5 ", "number"), 1.5)
+            assert.strictEqual(convertValue(2, "number"), 2)
+            assert.strictEqual(convertValue("-42", "integer"), -42)
+            expect(() => convertValue("1.5", "integer")).to.throw()
+            expect(() => convertValue("abc", "number")).to.throw()
+            expect(() => convertValue("", "number")).to.throw()
+        })
+        it("boolean", function () {
+            for (const value of ["true", "TRUE", "yes", "1", 1, true])
+                assert.strictEqual(convertValue(value, "boolean"), true)
+            for (const value of ["false", "No", "0", 0, false])
+                assert.strictEqual(convertValue(value, "boolean"), false)
+            expect(() => convertValue("maybe", "boolean")).to.throw()
+        })
+        it("json and string", function () {
+            assert.deepEqual(convertValue('{"a": [1]}', "json"), { a: [1] })
+            assert.deepEqual(convertValue({ a: 1 }, "json"), { a: 1 })
+            expect(() => convertValue("{a", "json")).to.throw()
+            assert.strictEqual(convertValue(12, "string"), "12")
+        })
+        it("list with separator and item-type", function () {
+            assert.deepEqual(convertValue("a, b ,c", "list"), ["a", "b", "c"])
+            assert.deepEqual(convertValue("", "list"), [])
+            assert.deepEqual(
+                convertValue("1;2", { name: "list", separator: ";" }),
+                ["1", "2"]
+            )
+            assert.deepEqual(
+                convertValue("1,2", { name: "list", items: "integer" }),
+                [1, 2]
+            )
+        })
+        it("url", function () {
+            const url = convertValue("https://host:8080/path", "url")
+            assert.instanceOf(url, URL)
+            assert.equal(url.port, "8080")
+            expect(() => convertValue("no url", "url")).to.throw()
+        })
+        it("duration (milliseconds)", function () {
+            assert.equal(convertValue("250ms", "duration"), 250)
+            assert.equal(convertValue("5m", "duration"), 300000)
+            assert.equal(convertValue("1h 30m", "duration"), 5400000)
+            assert.equal(convertValue("1.5s", "duration"), 1500)
+            assert.equal(convertValue("100", "duration"), 100)
+            expect(() => convertValue("5 minutes", "duration")).to.throw()
+        })
+        it("bytes", function () {
+            assert.equal(convertValue("512", "bytes"), 512)
+            assert.equal(convertValue("10MB", "bytes"), 10 * 1024 * 1024)
+            assert.equal(convertValue("1.5 KiB", "bytes"), 1536)
+            assert.equal(convertValue("2g", "bytes"), 2 * 1024 ** 3)
+            expect(() => convertValue("10 XB", "bytes")).to.throw()
+        })
+        it("Unknown types and custom types", function () {
+            expect(() => convertValue("1", "unknown")).to.throw(CuError)
+            for (const name of ["constructor", "toString", "__proto__"])
+                expect(() => convertValue("1", name)).to.throw(
+                    CuError,
+                    `Unknown type "${name}"`
+                )
+            expect(() => convertValue("1", { separator: ";" })).to.throw(
+                CuError
+            )
+            TYPE_CONVERTERS.upper = (value) => String(value).toUpperCase()
+            try {
+                assert.equal(convertValue("abc", "upper"), "ABC")
+            } finally {
+                delete TYPE_CONVERTERS.upper
+            }
+        })
+    })
+    describe("convertType()", function () {
+        it("Errors are CuErrors with the path", function () {
+            expect(() => convertType("x", "integer", ["db", "port"])).to.throw(
+                CuError,
+                'Property "db/port": can\'t convert "x" to integer'
+            )
+            expect(() => convertType("x", "unknown", ["db", "port"])).to.throw(
+                CuError,
+                'Property "db/port": Unknown type "unknown"'
+            )
+        })
+    })
+})
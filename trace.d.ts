@@ -0,0 +1,139 @@
+/**
+ * One step of the default-chain:
+ * - a macro: `{key, consulted: [<repository-names>], repository, file, callback, decrypted, secret}` (`file`: the secret-file of a `<KEY>_FILE`)
+ * - a reference (`$ref`): `{ref: <path of the node>, found, callback, decrypted, secret}`
+ * - a condition (`$if`, `$switch`): `{branch: "$then"|"$else"|"$cases.<name>", found, repository, file, ref, expr, callback, decrypted, secret}`
+ * - an expression (`$expr`): `{expr: <the expression>, found, callback, decrypted, secret}`
+ * - a literal default-value: `{literal: true, value}`
+ */
+export type TraceStep = {
+    key?: string;
+    consulted?: string[];
+    repository?: string;
+    file?: string;
+    ref?: string;
+    branch?: string;
+    expr?: string;
+    found?: boolean;
+    literal?: boolean;
+    value?: any;
+    callback?: boolean;
+    decrypted?: boolean;
+    secret?: boolean;
+};
+/**
+ * The trace of one config-path.
+ */
+export type TraceEntry = {
+    /**
+     * The config-path ("db/host")
+     */
+    path: string;
+    /**
+     * The effective search-key of the macro (after the `?`-expansion)
+     */
+    key: string;
+    /**
+     * The resolved value
+     */
+    value: any;
+    /**
+     * Name of the repository that answered. `undefined` for literal defaults, references or no value
+     */
+    repository: string;
+    /**
+     * The secret-file that was named by a `<KEY>_FILE`-key of the repository
+     */
+    file: string;
+    /**
+     * The path of the node if the value came from a reference (`$ref`)
+     */
+    ref: string;
+    /**
+     * The branch of a condition (`$if`, `$switch`) that delivered the value
+     */
+    branch: string;
+    /**
+     * The expression (`$expr`) that computed the value
+     */
+    expr: string;
+    /**
+     * `true` if the value came from the default-chain
+     */
+    defaultUsed: boolean;
+    /**
+     * Position in the default-chain that delivered the value (0 = the macro itself)
+     */
+    defaultDepth: number;
+    /**
+     * `true` if a `$callback` was called
+     */
+    callback: boolean;
+    /**
+     * `true` if the value was decrypted
+     */
+    decrypted: boolean;
+    /**
+     * `true` if the value is a secret (`$secret`, a secret repository or decrypted). `value` is masked
+     */
+    secret: boolean;
+    /**
+     * The error-message if the macro failed (with `collectErrors`)
+     */
+    error: string;
+    /**
+     * The macros of the default-chain (for templates: all placeholders)
+     */
+    chain: TraceStep[];
+};
+/**
+ * The report of updateConfig() with the option `trace` (or of explain()).
+ */
+export class ConfigTrace {
+    /**
+     * Creates an empty entry (also used for single values).
+     * @param {Array} path  The path of the property
+     * @returns {TraceEntry}
+     */
+    static createEntry(path: any[]): TraceEntry;
+    /**
+     * Completes an entry after the value was resolved.
+     * @param {TraceEntry} entry
+     * @param {any} value  The resolved value
+     * @returns {TraceEntry} The entry
+     */
+    static finish(entry: TraceEntry, value: any): TraceEntry;
+    /**
+     * Checks whether a default-chain delivered a secret. Decrypted values are secrets as well.
+     * @param {TraceStep[]} chain
+     * @returns {boolean}
+     */
+    static isSecret(chain: TraceStep[]): boolean;
+    /**
+     * Creates the entry for a config-path. Used by the ConfigUpdater.
+     * @param {Array} path  The path of the property
+     * @returns {TraceEntry}
+     */
+    begin(path: any[]): TraceEntry;
+    /**
+     * Get the trace of a config-path.
+     * @param {string|Array} path  The path as string ("db/host") or array (["db", "host"])
+     * @returns {TraceEntry|undefined} The entry or `undefined` if the path had no macro
+     */
+    describe(path: string | any[]): TraceEntry | undefined;
+    /**
+     * Get all traced config-paths.
+     * @returns {string[]}
+     */
+    paths(): string[];
+    /**
+     * @returns {TraceEntry[]} All entries (in the order they were resolved)
+     */
+    toJSON(): TraceEntry[];
+    /**
+     * One line per path: `<path> = <value> (<key> from <repository>|default[<depth>])`
+     * @returns {string}
+     */
+    toString(): string;
+    #private;
+}
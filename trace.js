@@ -0,0 +1,175 @@
+"use strict"
+
+/**
+ * Provenance-tracing of the Config-Updater.
+ *
+ * A ConfigTrace records for every resolved config-path where the value came
+ * from: the effective search-key (after the `?`-expansion), the repositories
+ * that were consulted, the repository that answered and whether (and at which
+ * depth) the default-chain was used.
+ *
+ * Secret values (see CM.secret()) are replaced by SECRET_MASK.
+ *
+ * @license MIT
+ * @author Thomas von Stetten.
+ */
+
+// @ts-check   Enable TypeScript Type checking in VScode Editor
+
+const { SECRET_MASK } = require("./secrets")
+
+/**
+ * One step of the default-chain:
+ * - a macro: `{key, consulted: [<repository-names>], repository, file, callback, decrypted, secret}` (`file`: the secret-file of a `<KEY>_FILE`)
+ * - a reference (`$ref`): `{ref: <path of the node>, found, callback, decrypted, secret}`
+ * - a condition (`$if`, `$switch`): `{branch: "$then"|"$else"|"$cases.<name>", found, repository, file, ref, expr, callback, decrypted, secret}`
+ * - an expression (`$expr`): `{expr: <the expression>, found, callback, decrypted, secret}`
+ * - a literal default-value: `{literal: true, value}`
+ * @typedef {{key?: string, consulted?: string[], repository?: string, file?: string, ref?: string, branch?: string, expr?: string, found?: boolean, literal?: boolean, value?: any, callback?: boolean, decrypted?: boolean, secret?: boolean}} TraceStep
+ */
+
+/**
+ * The trace of one config-path.
+ * @typedef {object} TraceEntry
+ * @property {string} path          The config-path ("db/host")
+ * @property {string} key           The effective search-key of the macro (after the `?`-expansion)
+ * @property {any} value            The resolved value
+ * @property {string} repository    Name of the repository that answered. `undefined` for literal defaults, references or no value
+ * @property {string} file          The secret-file that was named by a `<KEY>_FILE`-key of the repository
+ * @property {string} ref           The path of the node if the value came from a reference (`$ref`)
+ * @property {string} branch        The branch of a condition (`$if`, `$switch`) that delivered the value
+ * @property {string} expr          The expression (`$expr`) that computed the value
+ * @property {boolean} defaultUsed  `true` if the value came from the default-chain
+ * @property {number} defaultDepth  Position in the default-chain that delivered the value (0 = the macro itself)
+ * @property {boolean} callback     `true` if a `$callback` was called
+ * @property {boolean} decrypted    `true` if the value was decrypted
+ * @property {boolean} secret       `true` if the value is a secret (`$secret`, a secret repository or decrypted). `value` is masked
+ * @property {string} error         The error-message if the macro failed (with `collectErrors`)
+ * @property {TraceStep[]} chain    The macros of the default-chain (for templates: all placeholders)
+ */
+
+/**
+ * The report of updateConfig() with the option `trace` (or of explain()).
+ */
+class ConfigTrace {
+    // path-string => TraceEntry
+    #entries = new Map()
+
+    /**
+     * Creates the entry for a config-path. Used by the ConfigUpdater.
+     * @param {Array} path  The path of the property
+     * @returns {TraceEntry}
+     */
+    begin(path) {
+        const entry = ConfigTrace.createEntry(path)
+        this.#entries.set(entry.path, entry)
+        return entry
+    }
+
+    /**
+     * Creates an empty entry (also used for single values).
+     * @param {Array} path  The path of the property
+     * @returns {TraceEntry}
+     */
+    static createEntry(path) {
+        return /** @type {TraceEntry} */ ({ path: path.join("/"), chain: [] })
+    }
+
+    /**
+     * Completes an entry after the value was resolved.
+     * @param {TraceEntry} entry
+     * @param {any} value  The resolved value
+     * @returns {TraceEntry} The entry
+     */
+    static finish(entry, value) {
+        const chain = entry.chain
+        const index = chain.findIndex(
+            (step) => step.repository || step.literal || step.found
+        )
+        entry.key = chain.length ? chain[0].key : undefined
+        entry.value = value
+        entry.repository = index >= 0 ? chain[index].repository : undefined
+        entry.file = index >= 0 ? chain[index].file : undefined
+        entry.ref = index >= 0 ? chain[index].ref : undefined
+        entry.branch = index >= 0 ? chain[index].branch : undefined
+        entry.expr = index >= 0 ? chain[index].expr : undefined
+        entry.defaultUsed = index > 0
+        entry.defaultDepth = index > 0 ? index : 0
+        entry.callback = chain.some((step) => step.callback)
+        entry.decrypted = chain.some((step) => step.decrypted)
+        entry.secret = ConfigTrace.isSecret(chain)
+        if (entry.secret) {
+            entry.value = SECRET_MASK
+            for (const step of chain) {
+                if (step.literal && "value" in step) step.value = SECRET_MASK
+            }
+        }
+        return entry
+    }
+
+    /**
+     * Checks whether a default-chain delivered a secret. Decrypted values are secrets as well.
+     * @param {TraceStep[]} chain
+     * @returns {boolean}
+     */
+    static isSecret(chain) {
+        return chain.some((step) => step.secret || step.decrypted)
+    }
+
+    /**
+     * Get the trace of a config-path.
+     * @param {string|Array} path  The path as string ("db/host") or array (["db", "host"])
+     * @returns {TraceEntry|undefined} The entry or `undefined` if the path had no macro
+     */
+    describe(path) {
+        return this.#entries.get(Array.isArray(path) ? path.join("/") : path)
+    }
+
+    /**
+     * Get all traced config-paths.
+     * @returns {string[]}
+     */
+    paths() {
+        return [...this.#entries.keys()]
+    }
+
+    /**
+     * @returns {TraceEntry[]} All entries (in the order they were resolved)
+     */
+    toJSON() {
+        return [...this.#entries.values()]
+    }
+
+    /**
+     * One line per path: `<path> = <value> (<key> from <repository>|default[<depth>])`
+     * @returns {string}
+     */
+    toString() {
+        return this.toJSON()
+            .map((entry) => {
+                let source = entry.repository
+                    ? `from ${entry.repository}` +
+                      (entry.file !== undefined ? ` (file ${entry.file})` : "")
+                    : entry.ref !== undefined
+                    ? `from /${entry.ref}`
+                    : entry.expr !== undefined
+                    ? `expr ${JSON.stringify(entry.expr)}`
+                    : entry.defaultUsed || entry.branch !== undefined
+                    ? "literal"
+                    : "not found"
+                if (entry.branch !== undefined)
+                    source = `${entry.branch} ${source}`
+                if (entry.defaultUsed)
+                    source = `default[${entry.defaultDepth}] ${source}`
+                if (entry.error) source = `error: ${entry.error}`
+                return `${entry.path} = ${JSON.stringify(entry.value)} (${
+                    entry.key || "-"
+                } ${source})`
+            })
+            .join("\n")
+    }
+}
+
+module.exports = {
+    ConfigTrace,
+}
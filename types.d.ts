@@ -0,0 +1,25 @@
+/**
+ * The available types by name. Additional types can be added:
+ * `TYPE_CONVERTERS.port = (value) => ...`
+ */
+export const TYPE_CONVERTERS: {
+    [name: string]: (value: any, options: object) => any;
+};
+/**
+ * Converts a value to a type. `undefined` and `null` are returned unchanged.
+ * @param {any} value
+ * @param {string|object} type  The type-name or an object `{name: <type-name>, ...options}`
+ * @returns {any} The converted value
+ * @throws Error  If the value can't be converted. CuError if the type is unknown.
+ */
+export function convertValue(value: any, type: string | object): any;
+/**
+ * Converts the value of a macro and throws a CuError that names the config-path.
+ * @param {any} value
+ * @param {string|object} type  The `$type` of the macro
+ * @param {Array} path          Path of the property (for the error-message)
+ * @param {boolean} [secret=false]  If `true` the error-message contains neither the value nor the reason of the converter (it could quote a part of the value)
+ * @returns {any} The converted value
+ * @throws CuError  If the type is unknown or the value can't be converted
+ */
+export function convertType(value: any, type: string | object, path: any[], secret?: boolean): any;
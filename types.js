@@ -0,0 +1,178 @@
+"use strict"
+
+/**
+ * Type-conversion for macros with a `$type`-property.
+ *
+ * Repositories like `process.env` only deliver strings. The converters turn
+ * them into the type the config expects. Every converter gets the value and
+ * the type-options and returns the converted value. If the value can't be
+ * converted the converter throws an Error with a short reason.
+ *
+ * @license MIT
+ * @author Thomas von Stetten.
+ */
+
+// @ts-check   Enable TypeScript Type checking in VScode Editor
+
+const { CuError } = require("./errors")
+
+// Factors to milliseconds
+const DURATION_UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+}
+// Factors to bytes. KB, MB,... are 1024-based like KiB, MiB,...
+const BYTE_UNITS = {
+    b: 1,
+    kb: 1024,
+    mb: 1024 ** 2,
+    gb: 1024 ** 3,
+    tb: 1024 ** 4,
+    pb: 1024 ** 5,
+}
+const BOOLEANS = {
+    true: true,
+    yes: true,
+    1: true,
+    false: false,
+    no: false,
+    0: false,
+}
+
+/**
+ * Throws if the value isn't a (non-empty) string
+ * @param {any} value
+ * @returns {string} the trimmed value
+ */
+function asString(value) {
+    if (typeof value !== "string") throw new Error("not a string")
+    value = value.trim()
+    if (!value) throw new Error("empty string")
+    return value
+}
+
+/**
+ * The available types by name. Additional types can be added:
+ * `TYPE_CONVERTERS.port = (value) => ...`
+ */
+const TYPE_CONVERTERS = {
+    string: (value) =>
+        typeof value == "object" ? JSON.stringify(value) : String(value),
+    number: (value) => {
+        if (typeof value == "number") return value
+        const result = Number(asString(value))
+        if (Number.isNaN(result)) throw new Error("not a number")
+        return result
+    },
+    integer: (value) => {
+        if (Number.isInteger(value)) return value
+        const text = asString(value)
+        if (!/^[-+]?\d+$/.test(text)) throw new Error("not an integer")
+        return parseInt(text, 10)
+    },
+    boolean: (value) => {
+        if (typeof value == "boolean") return value
+        const result = BOOLEANS[String(value).trim().toLowerCase()]
+        if (result === undefined) throw new Error("not a boolean")
+        return result
+    },
+    json: (value) => (typeof value == "string" ? JSON.parse(value) : value),
+    list: (value, options) => {
+        let result = value
+        if (!Array.isArray(value)) {
+            const text = String(value).trim()
+            result = text ? text.split(options.separator || ",") : []
+            result = result.map((item) => item.trim())
+        }
+        return options.items
+            ? result.map((item) => convertValue(item, options.items))
+            : result
+    },
+    url: (value) => (value instanceof URL ? value : new URL(asString(value))),
+    duration: (value) => {
+        if (typeof value == "number") return value
+        const text = asString(value).toLowerCase()
+        if (/^\d+(\.\d+)?$/.test(text)) return Number(text)
+        const pattern = /(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)\s*/gy
+        let result = 0
+        let match
+        while ((match = pattern.exec(text))) {
+            result += Number(match[1]) * DURATION_UNITS[match[2]]
+            if (pattern.lastIndex == text.length) return result
+        }
+        throw new Error("not a duration (e.g. 250ms, 5m, 1h30m)")
+    },
+    bytes: (value) => {
+        if (typeof value == "number") return value
+        const match = /^(\d+(?:\.\d+)?)\s*([kmgtp]?)(i?)(b?)$/i.exec(
+            asString(value)
+        )
+        if (!match || (match[3] && !match[2]))
+            throw new Error("not a byte-size (e.g. 512, 10KB, 1.5GiB)")
+        const unit = match[2] ? match[2].toLowerCase() + "b" : "b"
+        return Math.round(Number(match[1]) * BYTE_UNITS[unit])
+    },
+}
+
+/**
+ * Splits a type-definition into the name and the options.
+ * @param {string|object} type  `"integer"` or `{name: "list", separator: ";"}`
+ * @returns {{name: string, options: object}}
+ */
+function splitType(type) {
+    if (typeof type == "string") return { name: type, options: {} }
+    if (type && typeof type == "object" && typeof type.name == "string")
+        return { name: type.name, options: type }
+    throw new CuError(`Invalid type-definition ${JSON.stringify(type)}`)
+}
+
+/**
+ * Converts a value to a type. `undefined` and `null` are returned unchanged.
+ * @param {any} value
+ * @param {string|object} type  The type-name or an object `{name: <type-name>, ...options}`
+ * @returns {any} The converted value
+ * @throws Error  If the value can't be converted. CuError if the type is unknown.
+ */
+function convertValue(value, type) {
+    const { name, options } = splitType(type)
+    if (!TYPE_CONVERTERS.hasOwnProperty(name))
+        throw new CuError(`Unknown type "${name}"`)
+    const converter = TYPE_CONVERTERS[name]
+    if (value == undefined) return value
+    return converter(value, options)
+}
+
+/**
+ * Converts the value of a macro and throws a CuError that names the config-path.
+ * @param {any} value
+ * @param {string|object} type  The `$type` of the macro
+ * @param {Array} path          Path of the property (for the error-message)
+ * @param {boolean} [secret=false]  If `true` the error-message contains neither the value nor the reason of the converter (it could quote a part of the value)
+ * @returns {any} The converted value
+ * @throws CuError  If the type is unknown or the value can't be converted
+ */
+function convertType(value, type, path, secret = false) {
+    try {
+        return convertValue(value, type)
+    } catch (error) {
+        const reason =
+            error instanceof CuError
+                ? error.message
+                : secret
+                ? `can't convert the secret value to ${splitType(type).name}`
+                : `can't convert "${value}" to ${splitType(type).name} (${
+                      error.message
+                  })`
+        throw new CuError(`Property "${path.join("/")}": ${reason}`)
+    }
+}
+
+module.exports = {
+    TYPE_CONVERTERS,
+    convertType,
+    convertValue,
+}
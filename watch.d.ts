@@ -0,0 +1,82 @@
+/**
+ * A resolved macro of a watched config.
+ */
+export type WatchEntry = {
+    /**
+     * The path of the property
+     */
+    path: any[];
+    /**
+     * The object that holds the property
+     */
+    parent: object | any[];
+    /**
+     * The property-name or array-index
+     */
+    key: string | number;
+    /**
+     * The macro (or template) before it was resolved
+     */
+    value: any;
+};
+/**
+ * A change of a watched config.
+ */
+export type WatchChange = {
+    path: string;
+    oldValue: any;
+    newValue: any;
+};
+/**
+ * A config that's updated whenever the repositories change.
+ *
+ * Events:
+ * - `change`: `(change)` for every changed property: `{path, oldValue, newValue}`
+ * - `<path>`: `(change)` for changes of the property, its sub-properties
+ *   and its parents (the values of `change` are the values of `<path>`).
+ *   A leading `/` is ignored (`/change` for a property named `change`)
+ * - `error`: `(error)` if a macro can't be resolved again. The property
+ *   keeps its value. Without an `error`-listener the error is only kept
+ *   in `lastError` (a failing watch never throws out of register() & co.)
+ */
+export class ConfigWatch extends EventEmitter {
+    /**
+     * Created by ConfigUpdater.watch().
+     * @param {object|Array} config  The watched config
+     * @param {object} functions
+     * @param {function} functions.resolve  `(entry, record) => {value, secret}` resolves the macro of an entry again
+     * @param {function} functions.assign   `(entry, value, secret)` sets the new value
+     * @param {function} functions.close    Called by close()
+     */
+    constructor(config: object | any[], { resolve, assign, close }: {
+        resolve: Function;
+        assign: Function;
+        close: Function;
+    });
+    config: object | any[];
+    /** @type {Error|undefined} The last error of refresh() */
+    lastError: Error | undefined;
+    /**
+     * Remembers a resolved macro. Used by the ConfigUpdater.
+     * @param {WatchEntry} entry
+     */
+    record(entry: WatchEntry): void;
+    /**
+     * @returns {string[]} The paths of all watched macros
+     */
+    paths(): string[];
+    /**
+     * Resolves all macros again and emits the changes.
+     *
+     * Called by the ConfigUpdater whenever a repository is registered,
+     * unregistered, reloaded or signals a change.
+     * @returns {WatchChange[]} The changes
+     */
+    refresh(): WatchChange[];
+    /**
+     * Stops the watch. The config keeps its values.
+     */
+    close(): void;
+    #private;
+}
+import { EventEmitter } from "events";
@@ -0,0 +1,177 @@
+"use strict"
+
+/**
+ * Live-reload of the Config-Updater.
+ *
+ * A ConfigWatch (see ConfigUpdater.watch()) remembers every macro it resolved
+ * in a config. refresh() resolves them again and emits a `change`-event for
+ * every value that's different now.
+ *
+ * @license MIT
+ * @author Thomas von Stetten.
+ */
+
+// @ts-check   Enable TypeScript Type checking in VScode Editor
+
+const { EventEmitter } = require("events")
+const { isDeepStrictEqual } = require("util")
+
+/**
+ * A resolved macro of a watched config.
+ * @typedef {object} WatchEntry
+ * @property {Array} path          The path of the property
+ * @property {object|Array} parent The object that holds the property
+ * @property {string|number} key   The property-name or array-index
+ * @property {any} value           The macro (or template) before it was resolved
+ */
+
+/**
+ * A change of a watched config.
+ * @typedef {{path: string, oldValue: any, newValue: any}} WatchChange
+ */
+
+/**
+ * A config that's updated whenever the repositories change.
+ *
+ * Events:
+ * - `change`: `(change)` for every changed property: `{path, oldValue, newValue}`
+ * - `<path>`: `(change)` for changes of the property, its sub-properties \
+ *   and its parents (the values of `change` are the values of `<path>`). \
+ *   A leading `/` is ignored (`/change` for a property named `change`)
+ * - `error`: `(error)` if a macro can't be resolved again. The property \
+ *   keeps its value. Without an `error`-listener the error is only kept \
+ *   in `lastError` (a failing watch never throws out of register() & co.)
+ */
+class ConfigWatch extends EventEmitter {
+    // path-string => WatchEntry
+    #entries = new Map()
+    #resolve
+    #assign
+    #close
+
+    /**
+     * Created by ConfigUpdater.watch().
+     * @param {object|Array} config  The watched config
+     * @param {object} functions
+     * @param {function} functions.resolve  `(entry, record) => {value, secret}` resolves the macro of an entry again
+     * @param {function} functions.assign   `(entry, value, secret)` sets the new value
+     * @param {function} functions.close    Called by close()
+     */
+    constructor(config, { resolve, assign, close }) {
+        super()
+        this.config = config
+        /** @type {Error|undefined} The last error of refresh() */
+        this.lastError = undefined
+        this.#resolve = resolve
+        this.#assign = assign
+        this.#close = close
+    }
+
+    /**
+     * Remembers a resolved macro. Used by the ConfigUpdater.
+     * @param {WatchEntry} entry
+     */
+    record(entry) {
+        this.#entries.set(entry.path.join("/"), entry)
+    }
+
+    /**
+     * @returns {string[]} The paths of all watched macros
+     */
+    paths() {
+        return [...this.#entries.keys()]
+    }
+
+    /**
+     * Resolves all macros again and emits the changes.
+     *
+     * Called by the ConfigUpdater whenever a repository is registered, \
+     * unregistered, reloaded or signals a change.
+     * @returns {WatchChange[]} The changes
+     */
+    refresh() {
+        const changes = []
+        for (const [path, entry] of [...this.#entries]) {
+            // removed with its parent?
+            if (this.#entries.get(path) !== entry) continue
+            const recorded = []
+            let result
+            try {
+                result = this.#resolve(entry, (entry) => recorded.push(entry))
+            } catch (error) {
+                this.lastError = error
+                if (this.listenerCount("error")) this.emit("error", error)
+                continue
+            }
+            const oldValue = entry.parent[entry.key]
+            if (isDeepStrictEqual(oldValue, result.value)) continue
+
+            this.#assign(entry, result.value, result.secret)
+            // the sub-tree was resolved again
+            for (const key of this.#entries.keys()) {
+                if (key.startsWith(path + "/")) this.#entries.delete(key)
+            }
+            for (const entry of recorded) this.record(entry)
+
+            const change = { path, oldValue, newValue: result.value }
+            changes.push(change)
+            this.#emitChange(change)
+        }
+        return changes
+    }
+
+    /**
+     * Stops the watch. The config keeps its values.
+     */
+    close() {
+        this.#close()
+        this.#entries.clear()
+    }
+
+    /**
+     * Emits `change` and the events of the paths that are affected.
+     * @param {WatchChange} change
+     */
+    #emitChange(change) {
+        this.emit("change", change)
+        for (const name of this.eventNames()) {
+            if (typeof name != "string" || name == "change" || name == "error")
+                continue
+            const path = name.startsWith("/") ? name.substring(1) : name
+            if (change.path.startsWith(path + "/")) {
+                // a sub-property changed
+                this.emit(name, change)
+            } else if (
+                path == change.path ||
+                path.startsWith(change.path + "/")
+            ) {
+                // the property or a parent changed
+                const keys = path
+                    .substring(change.path.length + 1)
+                    .split("/")
+                    .filter(Boolean)
+                const oldValue = getPath(change.oldValue, keys)
+                const newValue = getPath(change.newValue, keys)
+                if (!isDeepStrictEqual(oldValue, newValue))
+                    this.emit(name, { path, oldValue, newValue })
+            }
+        }
+    }
+}
+
+/**
+ * @param {any} value
+ * @param {string[]} keys
+ * @returns {any} The value of the sub-property or `undefined`
+ */
+function getPath(value, keys) {
+    for (const key of keys) {
+        if (!value || typeof value != "object") return undefined
+        value = value[key]
+    }
+    return value
+}
+
+module.exports = {
+    ConfigWatch,
+}